@@ -0,0 +1,97 @@
+'use strict';
+
+const { BrowserPool } = require('../browserPool');
+
+function makeFakeChromium() {
+  const browsers = [];
+  const chromium = {
+    launch: jest.fn(async () => {
+      const listeners = {};
+      const browser = {
+        id: browsers.length + 1,
+        connected: true,
+        contexts: 0,
+        isConnected: () => browser.connected,
+        on: (evt, cb) => { listeners[evt] = cb; },
+        newContext: jest.fn(async () => {
+          browser.contexts += 1;
+          return { close: jest.fn(async () => {}) };
+        }),
+        close: jest.fn(async () => { browser.connected = false; }),
+        crash: () => { browser.connected = false; listeners.disconnected?.(); },
+      };
+      browsers.push(browser);
+      return browser;
+    }),
+  };
+  return { chromium, browsers };
+}
+
+describe('BrowserPool', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+  test('reuses one browser across sequential jobs with fresh contexts', async () => {
+    const { chromium, browsers } = makeFakeChromium();
+    const pool = new BrowserPool({ chromium, size: 1, logger });
+
+    await pool.withContext({}, async () => 'a');
+    const result = await pool.withContext({}, async () => 'b');
+
+    expect(result).toBe('b');
+    expect(chromium.launch).toHaveBeenCalledTimes(1);
+    expect(browsers[0].newContext).toHaveBeenCalledTimes(2);
+    expect(pool.stats()).toEqual(expect.objectContaining({ launched: 1, leases: 2, browsers: 1, activeContexts: 0 }));
+  });
+
+  test('queues jobs beyond capacity until a context is released', async () => {
+    const { chromium } = makeFakeChromium();
+    const pool = new BrowserPool({ chromium, size: 1, contextsPerBrowser: 1, logger });
+
+    let releaseFirst;
+    const first = pool.withContext({}, () => new Promise((resolve) => { releaseFirst = resolve; }));
+    const second = pool.withContext({}, async () => 'second');
+
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(pool.stats().waiting).toBe(1);
+
+    releaseFirst('first');
+    await expect(Promise.all([first, second])).resolves.toEqual(['first', 'second']);
+    expect(chromium.launch).toHaveBeenCalledTimes(1);
+  });
+
+  test('recycles browsers after maxUses', async () => {
+    const { chromium, browsers } = makeFakeChromium();
+    const pool = new BrowserPool({ chromium, size: 1, maxUses: 2, logger });
+
+    await pool.withContext({}, async () => {});
+    await pool.withContext({}, async () => {});
+    await pool.withContext({}, async () => {});
+
+    expect(chromium.launch).toHaveBeenCalledTimes(2);
+    expect(browsers[0].close).toHaveBeenCalled();
+    expect(pool.stats().recycled).toBe(1);
+  });
+
+  test('replaces crashed browsers', async () => {
+    const { chromium, browsers } = makeFakeChromium();
+    const pool = new BrowserPool({ chromium, size: 1, logger });
+
+    await pool.withContext({}, async () => {});
+    browsers[0].crash();
+    await pool.withContext({}, async () => {});
+
+    expect(chromium.launch).toHaveBeenCalledTimes(2);
+    expect(pool.stats()).toEqual(expect.objectContaining({ crashed: 1, browsers: 1 }));
+  });
+
+  test('close shuts every browser and rejects new work', async () => {
+    const { chromium, browsers } = makeFakeChromium();
+    const pool = new BrowserPool({ chromium, size: 2, contextsPerBrowser: 1, logger });
+
+    await Promise.all([pool.withContext({}, async () => {}), pool.withContext({}, async () => {})]);
+    await pool.close();
+
+    expect(browsers.every((browser) => browser.close.mock.calls.length === 1)).toBe(true);
+    await expect(pool.acquire()).rejects.toThrow('Browser pool is closed');
+  });
+});
@@ -173,10 +173,19 @@ describe('ChannelManager', () => {
       expect(mockTransmuxer.ensureJob).toHaveBeenCalledWith(
         'test-1',
         'https://cdn.example.com/stream.mpd',
-        { Referer: 'https://embed.example.com' }
+        { Referer: 'https://embed.example.com' },
+        'copy',
+        { priority: 0 }
       );
     });
 
+    test('passes admission errors through so clients can be told when to retry', async () => {
+      const busy = Object.assign(new Error('Transmux queue is full'), { retryAfterSeconds: 20 });
+      channelManager.transmuxer = { ensureJob: jest.fn().mockRejectedValue(busy) };
+
+      await expect(channelManager.ensureTransmuxed({ id: 'test-1', streamUrl: 'https://s.test/a.m3u8' })).rejects.toBe(busy);
+    });
+
     test('should return null when no stream URL', async () => {
       const channel = { id: 'test-2', streamMode: 'transmux' };
       const result = await channelManager.ensureTransmuxed(channel);
@@ -251,7 +260,7 @@ describe('ChannelManager', () => {
       manager.channels = [
         { id: 'ch-expiring', status: 'healthy', streamUrl: 'https://s.test/a.m3u8', resolvedAt: now - 25 * 60 * 1000, failCount: 0 },
         { id: 'ch-failed', status: 'failed', failCount: 1, nextRetryAt: now - 1000 },
-        { id: 'ch-pending', status: 'pending', failCount: 0 },
+        { id: 'ch-pending', status: 'pending', failCount: 0, embedUrl: 'https://embed.test/p' },
       ];
 
       const next = manager.getNextChannelForResolution();
@@ -579,4 +588,1041 @@ describe('ChannelManager', () => {
       expect(manager.channels[0].status).toBe('pending');
     });
   });
+
+  describe('persistence', () => {
+    const makeStore = (snapshot = null) => ({
+      load: jest.fn().mockResolvedValue(snapshot),
+      save: jest.fn().mockResolvedValue(),
+    });
+
+    test('writes through to the store when channels are built and resolved', async () => {
+      const store = makeStore();
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, store });
+      manager.streamResolver = {
+        resolve: jest.fn().mockResolvedValue({ streamUrl: 'https://s.test/live.m3u8', headers: {} }),
+      };
+
+      await manager.buildChannels([
+        { title: 'Game', startTime: '2024-01-01T12:00:00Z', category: 'football', embedUrl: 'https://embed.test/1' },
+      ]);
+      expect(store.save).toHaveBeenCalledTimes(1);
+
+      await manager.resolveAndUpdateStatus(manager.channels[0]);
+      expect(store.save).toHaveBeenCalledTimes(2);
+      const snapshot = store.save.mock.calls[1][0];
+      expect(snapshot.channels[0]).toMatchObject({ status: 'healthy', streamUrl: 'https://s.test/live.m3u8' });
+    });
+
+    test('restore keeps fresh streams and re-queues stale ones', async () => {
+      const now = Date.now();
+      const future = new Date(now + 3600000).toISOString();
+      const store = makeStore({
+        channels: [
+          { id: 'ch-fresh', status: 'healthy', streamUrl: 'https://s.test/a.m3u8', resolvedAt: now - 60000, expiresAt: future },
+          { id: 'ch-stale', status: 'healthy', streamUrl: 'https://s.test/b.m3u8', resolvedAt: now - 3600000, expiresAt: future },
+          { id: 'ch-expired', status: 'healthy', streamUrl: 'https://s.test/c.m3u8', resolvedAt: now, expiresAt: new Date(now - 1000).toISOString() },
+        ],
+        programmes: [
+          { channelId: 'ch-fresh', title: 'A', start: new Date(now).toISOString(), stop: future },
+          { channelId: 'ch-expired', title: 'C', start: new Date(now).toISOString(), stop: future },
+        ],
+      });
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, store });
+
+      await expect(manager.restore()).resolves.toBe(2);
+      expect(manager.getChannelById('ch-fresh')).toMatchObject({ status: 'healthy', streamUrl: 'https://s.test/a.m3u8' });
+      expect(manager.getChannelById('ch-stale')).toMatchObject({ status: 'pending', streamUrl: null });
+      expect(manager.getChannelById('ch-expired')).toBeUndefined();
+      expect(manager.programmes).toHaveLength(1);
+      expect(manager.programmes[0].start).toBeInstanceOf(Date);
+      expect(manager.generatePlaylist('http://localhost:3005')).toContain('ch-fresh');
+    });
+
+    test('restore keeps upcoming events scheduled across a rebuild', async () => {
+      const event = {
+        title: 'Upcoming',
+        category: 'football',
+        startTime: new Date(Date.now() + 5 * 60000).toISOString(),
+        embedUrl: null,
+        live: false,
+        sourceOptions: [],
+      };
+      const store = makeStore();
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, store, resolveLeadMinutes: 10 });
+      await manager.buildChannels([event]);
+      store.load.mockResolvedValue(store.save.mock.calls[0][0]);
+
+      const restored = new ChannelManager({ lifetimeHours: 24, logger, store, resolveLeadMinutes: 10 });
+      await restored.restore();
+      expect(restored.channels[0].status).toBe('scheduled');
+
+      await restored.buildChannels([event]);
+      expect(restored.channels[0].status).toBe('scheduled');
+      expect(restored.getNextChannelForResolution()).toBeNull();
+
+      // Channels left pending by older state files are not handed to the resolver either
+      restored.channels[0].status = 'pending';
+      expect(restored.getNextChannelForResolution()).toBeNull();
+    });
+  });
+
+  describe('channel numbering', () => {
+    const event = (title, embedUrl) => ({
+      title, startTime: '2024-01-01T12:00:00Z', category: 'football', embedUrl, sourceOptions: [], qualityOptions: [],
+    });
+
+    test('keeps channel id and number when the embed URL rotates', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, channelNumbering: { ranges: { football: [100, 199] } } });
+      await manager.buildChannels([event('A', 'https://embed.test/a1'), event('B', 'https://embed.test/b')]);
+      const { id, number } = manager.channels[0];
+      expect(number).toBe(100);
+
+      await manager.buildChannels([event('A', 'https://embed.test/a2'), event('B', 'https://embed.test/b')]);
+      expect(manager.channels[0]).toMatchObject({ id, number: 100, embedUrl: 'https://embed.test/a2', status: 'pending' });
+      expect(manager.channels[1].number).toBe(101);
+    });
+
+    test('reuses numbers freed by removed channels', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      await manager.buildChannels([event('A', 'https://embed.test/a'), event('B', 'https://embed.test/b')]);
+      await manager.buildChannels([event('B', 'https://embed.test/b'), event('C', 'https://embed.test/c')]);
+      expect(manager.channels.map((ch) => ch.number)).toEqual([1001, 1000]);
+    });
+
+    test('emits tvg-chno in the playlist and lcn in the EPG', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.channels = [
+        { id: 'ch-1', number: 105, category: 'football', title: 'Game', streamUrl: 'https://s.test/a.m3u8', status: 'healthy' },
+      ];
+      expect(manager.generatePlaylist('http://localhost:3005')).toContain('tvg-id="ch-1" tvg-chno="105"');
+
+      const epg = manager.generateEpg();
+      expect(epg).toContain('<display-name>105</display-name>');
+      expect(epg).toContain('<lcn>105</lcn>');
+    });
+  });
+
+  describe('slot mode', () => {
+    const event = (title, startTime, category = 'football') => ({
+      title, startTime, category, embedUrl: `https://embed.test/${title}`, sourceOptions: [], qualityOptions: [],
+    });
+    const slotConfig = { enabled: true, categories: { football: 2 } };
+
+    test('assigns events into fixed slots and keeps assignments sticky', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, slots: slotConfig });
+      await manager.buildChannels([event('late', '2024-01-01T15:00:00Z'), event('early', '2024-01-01T12:00:00Z')]);
+
+      expect(manager.slots.map((slot) => slot.id)).toEqual(['slot-football-1', 'slot-football-2']);
+      const early = manager.channels.find((ch) => ch.title === 'early');
+      const late = manager.channels.find((ch) => ch.title === 'late');
+      expect(manager.getSlot('slot-football-1').channelId).toBe(early.id);
+      expect(manager.getSlot('slot-football-2').channelId).toBe(late.id);
+      expect(late.slotId).toBe('slot-football-2');
+
+      // early finishes, a new event arrives: late stays put and the new one takes the freed slot
+      await manager.buildChannels([event('late', '2024-01-01T15:00:00Z'), event('new', '2024-01-01T18:00:00Z')]);
+      expect(manager.getSlot('slot-football-2').channelId).toBe(late.id);
+      expect(manager.getSlot('slot-football-1').channelId).toBe(manager.channels.find((ch) => ch.title === 'new').id);
+      expect(manager.getChannelById('slot-football-2')).toBe(manager.channels.find((ch) => ch.title === 'late'));
+    });
+
+    test('lists empty slots with a "No event" programme', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, slots: slotConfig });
+      await manager.buildChannels([event('only', '2024-01-01T12:00:00Z')]);
+
+      const playlist = manager.generatePlaylist('http://localhost:3005');
+      expect(playlist).toContain('tvg-id="slot-football-1" tvg-chno="1000" group-title="football",Football 1');
+      expect(playlist).toContain('tvg-id="slot-football-2" tvg-chno="1001" group-title="football",Football 2');
+      expect(playlist).toContain('http://localhost:3005/hls/slot-football-2');
+
+      const epg = manager.generateEpg();
+      expect(epg).toContain('<display-name>Football 2</display-name>');
+      expect(epg).toMatch(/channel="slot-football-1"[^>]*>\s*<title>only<\/title>/);
+      expect(epg).toMatch(/channel="slot-football-2"[^>]*>\s*<title>No event<\/title>/);
+    });
+
+    test('keeps overflow events out of the lineup', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, slots: { enabled: true, categories: { football: 1 } } });
+      await manager.buildChannels([event('a', '2024-01-01T12:00:00Z'), event('b', '2024-01-01T13:00:00Z')]);
+      expect(manager.channels.filter((ch) => ch.slotId)).toHaveLength(1);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'More live events than slots, some events are not in the lineup',
+        expect.objectContaining({ overflow: 1 }),
+      );
+    });
+  });
+
+  test('pads the guide with upcoming and ended filler programmes', () => {
+    const manager = new ChannelManager({ lifetimeHours: 6, logger });
+    const start = new Date(Date.now() + 2 * 3600000);
+    manager.channels = [
+      { id: 'ch-1', category: 'football', title: 'Derby', streamUrl: 'https://s.test/a.m3u8', status: 'healthy' },
+    ];
+    manager.programmes = [
+      { channelId: 'ch-1', title: 'Derby', category: 'football', start, stop: new Date(start.getTime() + 2 * 3600000) },
+    ];
+
+    const epg = manager.generateEpg();
+    const titles = [...epg.matchAll(/<title>([^<]+)<\/title>/g)].map((match) => match[1]);
+    expect(titles).toEqual(['Upcoming: Derby', 'Derby', 'Event ended']);
+  });
+
+  test('renders icons, descriptions and live flags in playlist and EPG', () => {
+    const manager = new ChannelManager({ lifetimeHours: 24, logger });
+    const start = new Date('2024-01-01T12:00:00Z');
+    manager.channels = [
+      {
+        id: 'ch-1', category: 'football', title: 'Derby', icon: 'https://img.test/poster.webp',
+        streamUrl: 'https://s.test/a.m3u8', status: 'healthy',
+      },
+    ];
+    manager.programmes = [
+      {
+        channelId: 'ch-1', title: 'Derby', category: 'football', start, stop: new Date(start.getTime() + 7200000),
+        subTitle: 'Arsenal vs Chelsea', description: 'Premier League · Arsenal vs Chelsea', icon: 'https://img.test/poster.webp', live: true,
+      },
+    ];
+
+    expect(manager.generatePlaylist('http://localhost:3005')).toContain('tvg-logo="https://img.test/poster.webp"');
+
+    const epg = manager.generateEpg();
+    expect(epg).toContain('<icon src="https://img.test/poster.webp"/>');
+    expect(epg).toContain('<sub-title>Arsenal vs Chelsea</sub-title>');
+    expect(epg).toContain('<desc>Premier League · Arsenal vs Chelsea</desc>');
+    expect(epg).toContain('<date>20240101</date>');
+    expect(epg).toContain('<live/>');
+  });
+
+  describe('scheduled channels', () => {
+    const upcoming = (minutesAhead, embedUrl = 'https://embed.test/up') => ({
+      title: 'Upcoming',
+      category: 'football',
+      startTime: new Date(Date.now() + minutesAhead * 60000).toISOString(),
+      embedUrl,
+      live: false,
+      sourceOptions: [],
+    });
+
+    test('advertises upcoming events in the EPG but keeps them out of the queue', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, resolveLeadMinutes: 10 });
+      await manager.buildChannels([upcoming(120)]);
+
+      expect(manager.channels[0].status).toBe('scheduled');
+      expect(manager.getNextChannelForResolution()).toBeNull();
+      expect(manager.generateEpg()).toContain(manager.channels[0].id);
+      expect(manager.generatePlaylist('http://localhost:3005')).toBe('#EXTM3U');
+    });
+
+    test('promotes scheduled channels within the lead window', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, resolveLeadMinutes: 10 });
+      await manager.buildChannels([upcoming(120)]);
+      const channel = manager.channels[0];
+
+      channel.startTime = new Date(Date.now() + 5 * 60000).toISOString();
+      expect(manager.getNextChannelForResolution()).toBe(channel);
+      expect(channel.status).toBe('pending');
+    });
+
+    test('keeps upcoming events without streams scheduled', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, resolveLeadMinutes: 10 });
+      await manager.buildChannels([upcoming(5, null)]);
+      expect(manager.channels[0].status).toBe('scheduled');
+      expect(manager.getNextChannelForResolution()).toBeNull();
+    });
+  });
+
+  describe('delivery modes', () => {
+    const resolvedChannel = () => ({
+      id: 'ch-1', category: 'football', title: 'Derby', streamUrl: 'https://s.test/a.m3u8', status: 'healthy',
+    });
+
+    test('lists proxy URLs by default and honours per-channel overrides', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.channels = [resolvedChannel(), { ...resolvedChannel(), id: 'ch-2', deliveryMode: 'redirect' }];
+
+      const playlist = manager.generatePlaylist('http://localhost:3005');
+      expect(playlist).toContain('http://localhost:3005/hls/ch-1/proxy');
+      expect(playlist.split('\n')).toContain('http://localhost:3005/hls/ch-2');
+    });
+
+    test('maps each mode to its stream path', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, deliveryMode: 'transmux' });
+      const channel = resolvedChannel();
+
+      expect(manager.getStreamPath(channel)).toBe('/hls/ch-1/local');
+      expect(manager.getStreamPath({ ...channel, deliveryMode: 'proxy' })).toBe('/hls/ch-1/proxy');
+      expect(manager.getStreamPath({ ...channel, deliveryMode: 'redirect' })).toBe('/hls/ch-1');
+    });
+
+    test('setDeliveryMode validates modes and tears down transmux jobs', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, deliveryMode: 'transmux' });
+      manager.channels = [resolvedChannel()];
+      manager.cleanupTransmuxJobs = jest.fn().mockResolvedValue();
+
+      await expect(manager.setDeliveryMode('ch-1', 'carrier-pigeon')).rejects.toThrow('Unknown delivery mode');
+      expect(await manager.setDeliveryMode('missing', 'proxy')).toBeNull();
+
+      await manager.setDeliveryMode('ch-1', 'proxy');
+      expect(manager.getDeliveryMode(manager.channels[0])).toBe('proxy');
+      expect(manager.cleanupTransmuxJobs).toHaveBeenCalledWith(['ch-1']);
+
+      await manager.setDeliveryMode('ch-1', null);
+      expect(manager.getDeliveryMode(manager.channels[0])).toBe('transmux');
+    });
+  });
+
+  test('fetchStream can return a stream for pass-through', async () => {
+    const manager = new ChannelManager({ lifetimeHours: 24, logger });
+    const channel = { id: 'ch-1', streamUrl: 'https://s.test/a.m3u8', cookies: [] };
+    const destroy = jest.fn();
+
+    axios.get.mockResolvedValueOnce({ status: 200, data: { pipe: jest.fn() }, headers: {} });
+    await manager.fetchStream(channel, 'https://s.test/1.ts', { stream: true });
+    expect(axios.get).toHaveBeenLastCalledWith('https://s.test/1.ts', expect.objectContaining({ responseType: 'stream' }));
+
+    axios.get.mockResolvedValueOnce({ status: 403, data: { destroy }, headers: {} });
+    await expect(manager.fetchStream(channel, 'https://s.test/2.ts', { stream: true })).rejects.toThrow('Upstream returned 403');
+    expect(destroy).toHaveBeenCalled();
+  });
+
+  test('fetchStream only invalidates the channel for rejections of its current stream', async () => {
+    const manager = new ChannelManager({ lifetimeHours: 24, logger });
+    const channel = { id: 'ch-1', status: 'healthy', streamUrl: 'https://new.test/live/index.m3u8', cookies: [] };
+
+    axios.get.mockResolvedValueOnce({ status: 403, data: Buffer.from(''), headers: {} });
+    await expect(manager.fetchStream(channel, 'https://old.test/live/seg-9.ts')).rejects.toMatchObject({ upstreamStatus: 403 });
+    expect(channel).toMatchObject({ status: 'healthy', streamUrl: 'https://new.test/live/index.m3u8' });
+
+    axios.get.mockResolvedValueOnce({ status: 403, data: Buffer.from(''), headers: {} });
+    await expect(manager.fetchStream(channel, 'https://new.test/live/seg-1.ts')).rejects.toMatchObject({ upstreamStatus: 403 });
+    expect(channel).toMatchObject({ status: 'pending', streamUrl: null });
+  });
+
+  describe('rewriteManifest', () => {
+    const manager = new ChannelManager({ lifetimeHours: 24, logger });
+    const proxyBase = 'http://localhost:3005/hls/ch-1';
+    const proxied = (url) => `${proxyBase}/proxy?url=${encodeURIComponent(url)}`;
+
+    test('rewrites AES-128 key URIs alongside segments', () => {
+      const manifest = [
+        '#EXTM3U',
+        '#EXT-X-KEY:METHOD=AES-128,URI="keys/k1.bin",IV=0x1234',
+        '#EXTINF:6.0,',
+        'seg1.ts',
+      ].join('\n');
+
+      const rewritten = manager.rewriteManifest(manifest, 'https://cdn.test/live/index.m3u8', proxyBase);
+      expect(rewritten).toContain(`#EXT-X-KEY:METHOD=AES-128,URI="${proxied('https://cdn.test/live/keys/k1.bin')}",IV=0x1234`);
+      expect(rewritten).toContain(proxied('https://cdn.test/live/seg1.ts'));
+    });
+
+    test('rewrites fMP4 init segments', () => {
+      const manifest = '#EXTM3U\n#EXT-X-MAP:URI="/init.mp4",BYTERANGE="720@0"\n#EXTINF:4,\nchunk1.m4s';
+
+      const rewritten = manager.rewriteManifest(manifest, 'https://cdn.test/v/index.m3u8', proxyBase);
+      expect(rewritten).toContain(`#EXT-X-MAP:URI="${proxied('https://cdn.test/init.mp4')}",BYTERANGE="720@0"`);
+    });
+
+    test('rewrites alternate audio renditions and I-frame playlists in masters', () => {
+      const manifest = [
+        '#EXTM3U',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",URI="audio/en.m3u8"',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Spanish",URI="https://alt.test/es.m3u8"',
+        '#EXT-X-MEDIA:TYPE=CLOSED-CAPTIONS,GROUP-ID="cc",NAME="CC1",INSTREAM-ID="CC1"',
+        '#EXT-X-I-FRAME-STREAM-INF:BANDWIDTH=86000,URI="iframes.m3u8"',
+        '#EXT-X-STREAM-INF:BANDWIDTH=1280000,AUDIO="aud"',
+        'video/720p.m3u8',
+      ].join('\n');
+
+      const rewritten = manager.rewriteManifest(manifest, 'https://cdn.test/master.m3u8', proxyBase);
+      expect(rewritten).toContain(`URI="${proxied('https://cdn.test/audio/en.m3u8')}"`);
+      expect(rewritten).toContain(`URI="${proxied('https://alt.test/es.m3u8')}"`);
+      expect(rewritten).toContain('#EXT-X-MEDIA:TYPE=CLOSED-CAPTIONS,GROUP-ID="cc",NAME="CC1",INSTREAM-ID="CC1"');
+      expect(rewritten).toContain(`BANDWIDTH=86000,URI="${proxied('https://cdn.test/iframes.m3u8')}"`);
+      expect(rewritten).toContain(proxied('https://cdn.test/video/720p.m3u8'));
+      expect(rewritten).not.toMatch(/URI="https:\/\/(cdn|alt)\.test/);
+    });
+
+    test('leaves inline and DRM key URIs untouched', () => {
+      const manifest = '#EXTM3U\n#EXT-X-KEY:METHOD=SAMPLE-AES,URI="skd://key-id"\n#EXT-X-KEY:METHOD=AES-128,URI="data:text/plain;base64,AAAA"';
+      expect(manager.rewriteManifest(manifest, 'https://cdn.test/index.m3u8', proxyBase)).toBe(manifest);
+    });
+
+    test('points variants at caller-provided URLs when variantUrl is given', () => {
+      const manifest = [
+        '#EXTM3U',
+        '#EXT-X-STREAM-INF:BANDWIDTH=800000',
+        'low/index.m3u8?token=a',
+        '#EXT-X-STREAM-INF:BANDWIDTH=2400000',
+        'https://cdn.test/high/index.m3u8?token=a',
+      ].join('\n');
+      const variantUrl = jest.fn((index) => `${proxyBase}/stitched/${index}.m3u8`);
+
+      const rewritten = manager.rewriteManifest(manifest, 'https://cdn.test/master.m3u8', proxyBase, { variantUrl });
+
+      expect(rewritten.split('\n')).toEqual([
+        '#EXTM3U',
+        '#EXT-X-STREAM-INF:BANDWIDTH=800000',
+        `${proxyBase}/stitched/0.m3u8`,
+        '#EXT-X-STREAM-INF:BANDWIDTH=2400000',
+        `${proxyBase}/stitched/1.m3u8`,
+      ]);
+      expect(variantUrl).toHaveBeenCalledWith(0, 'https://cdn.test/low/index.m3u8?token=a');
+    });
+
+    test('points alternate renditions at caller-provided URLs when renditionUrl is given', () => {
+      const manifest = [
+        '#EXTM3U',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",LANGUAGE="en",URI="audio/en.m3u8?token=a"',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Main",DEFAULT=YES',
+        '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="sub",NAME="English",URI="subs/en.m3u8"',
+      ].join('\n');
+      const renditionUrl = jest.fn((index) => `${proxyBase}/stitched/media/${index}.m3u8`);
+
+      const lines = manager.rewriteManifest(manifest, 'https://cdn.test/master.m3u8', proxyBase, { renditionUrl }).split('\n');
+
+      expect(lines[1]).toBe(`#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="English",LANGUAGE="en",URI="${proxyBase}/stitched/media/0.m3u8"`);
+      expect(lines[2]).toBe('#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="Main",DEFAULT=YES');
+      expect(lines[3]).toContain(`URI="${proxyBase}/stitched/media/1.m3u8"`);
+      expect(renditionUrl).toHaveBeenCalledWith(0, 'https://cdn.test/audio/en.m3u8?token=a');
+    });
+  });
+
+  describe('DASH streams', () => {
+    test('records DASH resolutions and forces transmux delivery', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, deliveryMode: 'redirect' });
+      manager.streamResolver = {
+        resolve: jest.fn().mockResolvedValue({ streamUrl: 'https://s.test/live.mpd', contentType: 'application/dash+xml', headers: {} }),
+      };
+      const channel = { id: 'ch-dash', embedUrl: 'https://embed.test/1', sourceOptions: [], deliveryMode: 'proxy' };
+
+      await manager.resolveStream(channel);
+
+      expect(channel.streamMode).toBe('dash');
+      expect(channel.streamMimeType).toBe('application/dash+xml');
+      expect(manager.getDeliveryMode(channel)).toBe('transmux');
+      expect(manager.getStreamPath(channel)).toBe('/hls/ch-dash/local');
+    });
+
+    test('health checks DASH manifests by looking for an MPD document', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const channel = {
+        id: 'ch-dash', streamUrl: 'https://s.test/live.mpd', streamMode: 'dash', status: 'healthy',
+        resolvedAt: Date.now() - 3600000, cookies: [],
+      };
+
+      axios.get.mockResolvedValueOnce({ status: 200, data: Buffer.from('<?xml version="1.0"?><MPD type="dynamic"></MPD>'), headers: {} });
+      await manager.checkChannelHealth(channel);
+      expect(channel.status).toBe('healthy');
+      expect(axios.get).toHaveBeenLastCalledWith('https://s.test/live.mpd', expect.anything());
+    });
+  });
+
+  describe('resolution workers', () => {
+    const pendingChannel = (id, embedUrl) => ({ id, status: 'pending', embedUrl, failCount: 0, healthFailCount: 0 });
+
+    test('never hands out a channel that is already resolving', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, resolutionPerHostConcurrency: 5 });
+      manager.channels = [pendingChannel('ch-a', 'https://one.test/a'), pendingChannel('ch-b', 'https://one.test/b')];
+      manager.resolving.set('ch-b', { channel: manager.channels[1], host: 'one.test' });
+
+      expect(manager.getNextChannelForResolution().id).toBe('ch-a');
+      manager.resolving.set('ch-a', { channel: manager.channels[0], host: 'one.test' });
+      expect(manager.getNextChannelForResolution()).toBeNull();
+    });
+
+    test('honors the per-host concurrency limit', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, resolutionPerHostConcurrency: 1 });
+      manager.channels = [
+        pendingChannel('ch-other', 'https://two.test/x'),
+        pendingChannel('ch-same', 'https://one.test/b'),
+        pendingChannel('ch-busy', 'https://one.test/a'),
+      ];
+      manager.resolving.set('ch-busy', { channel: manager.channels[2], host: 'one.test' });
+
+      expect(manager.getNextChannelForResolution().id).toBe('ch-other');
+      expect(manager.getResolutionStats()).toEqual(expect.objectContaining({ active: 1, queued: 2, perHostConcurrency: 1 }));
+    });
+
+    test('runs up to the configured number of resolutions in parallel', async () => {
+      const previousSleep = process.env.RESOLUTION_LOOP_SLEEP_MS;
+      process.env.RESOLUTION_LOOP_SLEEP_MS = '5';
+
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, resolutionConcurrency: 2, resolutionPerHostConcurrency: 2 });
+      manager.channels = ['a', 'b', 'c'].map((id) => pendingChannel(`ch-${id}`, `https://embed.test/${id}`));
+
+      let inFlight = 0;
+      let maxInFlight = 0;
+      const releases = [];
+      manager.streamResolver = {
+        resolve: jest.fn(() => {
+          inFlight += 1;
+          maxInFlight = Math.max(maxInFlight, inFlight);
+          return new Promise((resolve) => releases.push(() => {
+            inFlight -= 1;
+            resolve({ streamUrl: 'https://s.test/live.m3u8', contentType: 'application/vnd.apple.mpegurl', headers: {} });
+          }));
+        }),
+      };
+
+      const loop = manager.runResolutionLoop();
+      const waitFor = async (predicate) => {
+        while (!predicate()) await new Promise((resolve) => setTimeout(resolve, 5));
+      };
+
+      await waitFor(() => releases.length === 2);
+      expect(manager.getResolutionStats().active).toBe(2);
+
+      releases.shift()();
+      await waitFor(() => releases.length === 2);
+      releases.splice(0).forEach((release) => release());
+      await waitFor(() => manager.channels.every((ch) => ch.status === 'healthy'));
+
+      manager.running = false;
+      await loop;
+      expect(maxInFlight).toBe(2);
+      expect(manager.streamResolver.resolve).toHaveBeenCalledTimes(3);
+
+      process.env.RESOLUTION_LOOP_SLEEP_MS = previousSleep;
+      if (previousSleep === undefined) delete process.env.RESOLUTION_LOOP_SLEEP_MS;
+    });
+  });
+
+  describe('lazy resolution', () => {
+    const resolved = { streamUrl: 'https://s.test/live.m3u8', contentType: 'application/vnd.apple.mpegurl', headers: {} };
+    const pendingChannel = (id) => ({ id, category: 'football', title: id, status: 'pending', embedUrl: `https://embed.test/${id}`, failCount: 0 });
+
+    test('lists every playable channel and resolves nothing up front', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, lazyResolution: { enabled: true } });
+      manager.channels = [
+        pendingChannel('ch-pending'),
+        { ...pendingChannel('ch-dead'), status: 'dead' },
+        { ...pendingChannel('ch-failed'), status: 'failed', failCount: 1 },
+      ];
+
+      const playlist = manager.generatePlaylist('http://localhost:3005');
+      expect(playlist).toContain('/hls/ch-pending/proxy');
+      expect(playlist).toContain('/hls/ch-failed/proxy');
+      expect(playlist).not.toContain('ch-dead');
+      expect(manager.getNextChannelForResolution()).toBeNull();
+    });
+
+    test('requestResolution jumps the queue and waits for the stream', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, lazyResolution: { enabled: true } });
+      manager.streamResolver = { resolve: jest.fn().mockResolvedValue(resolved) };
+      manager.channels = [pendingChannel('ch-a'), pendingChannel('ch-b')];
+
+      const channel = await manager.requestResolution(manager.channels[1], 1000);
+
+      expect(channel.id).toBe('ch-b');
+      expect(channel.streamUrl).toBe('https://s.test/live.m3u8');
+      expect(manager.streamResolver.resolve).toHaveBeenCalledTimes(1);
+      expect(manager.channels[0].status).toBe('pending');
+    });
+
+    test('queues behind busy workers and joins resolutions already in flight', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, resolutionConcurrency: 1, lazyResolution: { enabled: true } });
+      let finish;
+      manager.streamResolver = { resolve: jest.fn(() => new Promise((resolve) => { finish = () => resolve(resolved); })) };
+      manager.channels = [pendingChannel('ch-a'), pendingChannel('ch-b')];
+
+      const first = manager.requestResolution(manager.channels[0], 1000);
+      const joined = manager.requestResolution(manager.channels[0], 1000);
+      const queued = manager.requestResolution(manager.channels[1], 20);
+
+      expect(manager.streamResolver.resolve).toHaveBeenCalledTimes(1);
+      await expect(queued).resolves.toBeNull();
+      expect(manager.getNextChannelForResolution()).toBeNull();
+      expect(manager.getResolutionCandidates().map((ch) => ch.id)).toEqual(['ch-b']);
+
+      finish();
+      await expect(first).resolves.toBe(manager.channels[0]);
+      await expect(joined).resolves.toBe(manager.channels[0]);
+    });
+
+    test('keeps refreshing expiring streams that are being watched', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, lazyResolution: { enabled: true } });
+      const now = Date.now();
+      const expiring = (id) => ({
+        ...pendingChannel(id),
+        status: 'healthy',
+        streamUrl: `https://s.test/${id}.m3u8`,
+        resolvedAt: now - 60000,
+        streamExpiresAt: now + 5000,
+      });
+      manager.channels = [expiring('ch-watched'), expiring('ch-idle'), pendingChannel('ch-pending')];
+      manager.recordViewer('ch-watched', 'tv');
+
+      expect(manager.getResolutionCandidates(now).map((ch) => ch.id)).toEqual(['ch-watched']);
+    });
+
+    test('holds a requested channel while its embed host is at the per-host limit', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, resolutionConcurrency: 2, lazyResolution: { enabled: true } });
+      const finishers = [];
+      manager.streamResolver = { resolve: jest.fn(() => new Promise((resolve) => finishers.push(() => resolve(resolved)))) };
+      manager.channels = [pendingChannel('ch-a'), pendingChannel('ch-b')];
+
+      const first = manager.requestResolution(manager.channels[0], 1000);
+      const second = manager.requestResolution(manager.channels[1], 20);
+
+      expect(manager.getResolvingHostCounts()).toEqual({ 'embed.test': 1 });
+      expect(manager.priorityIds.has('ch-b')).toBe(true);
+      await expect(second).resolves.toBeNull();
+
+      finishers[0]();
+      await expect(first).resolves.toBe(manager.channels[0]);
+    });
+
+    test('gives up on dead channels immediately', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, lazyResolution: { enabled: true } });
+      manager.streamResolver = { resolve: jest.fn() };
+      await expect(manager.requestResolution({ ...pendingChannel('ch-dead'), status: 'dead' })).resolves.toBeNull();
+      expect(manager.streamResolver.resolve).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('viewer tracking', () => {
+    test('counts distinct viewers until they go idle', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.channels = [{ id: 'ch-1', status: 'healthy' }];
+      manager.viewerIdleMs = 1000;
+      const now = Date.now();
+
+      manager.recordViewer('ch-1', 'tv');
+      manager.recordViewer('ch-1', 'tv');
+      manager.recordViewer('ch-1', 'phone');
+      manager.recordViewer('missing', 'tv');
+
+      expect(manager.getViewerCount('ch-1', now)).toBe(2);
+      expect(manager.channels[0].lastViewedAt).toBeGreaterThan(0);
+      expect(manager.getViewerCount('ch-1', now + 5000)).toBe(0);
+      expect(manager.viewers.has('missing')).toBe(false);
+    });
+
+    test('refreshes watched channels first and never-opened ones last', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const stale = Date.now() - 25 * 60 * 1000;
+      manager.channels = ['never', 'opened', 'watched'].map((id) => ({
+        id: `ch-${id}`, status: 'healthy', streamUrl: 'https://s.test/a.m3u8', resolvedAt: stale, failCount: 0,
+      }));
+      manager.channels[1].lastViewedAt = Date.now() - 3600000;
+      manager.recordViewer('ch-watched', 'tv');
+
+      expect(manager.getResolutionCandidates().map((ch) => ch.id)).toEqual(['ch-watched', 'ch-opened', 'ch-never']);
+    });
+
+    test('refreshes a watched expiring stream ahead of unwatched pending channels', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const now = Date.now();
+      manager.channels = [
+        { id: 'p1', status: 'pending', embedUrl: 'https://embed.test/p1', failCount: 0 },
+        { id: 'p2', status: 'pending', embedUrl: 'https://embed.test/p2', failCount: 0 },
+        { id: 'w', status: 'healthy', streamUrl: 'https://s.test/w.m3u8', resolvedAt: now - 60000, streamExpiresAt: now + 5000 },
+        { id: 'idle', status: 'healthy', streamUrl: 'https://s.test/i.m3u8', resolvedAt: now - 60000, streamExpiresAt: now + 5000 },
+      ];
+      manager.recordViewer('w', 'tv');
+
+      expect(manager.getResolutionCandidates(now).map((ch) => ch.id)).toEqual(['w', 'p2', 'p1', 'idle']);
+    });
+
+    test('health-checks idle channels less often than watched ones', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.channels = [
+        { id: 'ch-idle', status: 'healthy', streamUrl: 'https://s.test/a.m3u8' },
+        { id: 'ch-watched', status: 'healthy', streamUrl: 'https://s.test/b.m3u8' },
+      ];
+      manager.recordViewer('ch-watched', 'tv');
+      const now = Date.now();
+
+      expect(manager.getChannelsDueForHealthCheck(30000, now).map((ch) => ch.id)).toEqual(['ch-watched', 'ch-idle']);
+
+      manager.healthCheckedAt.set('ch-idle', now - 30000);
+      manager.healthCheckedAt.set('ch-watched', now - 30000);
+      expect(manager.getChannelsDueForHealthCheck(30000, now).map((ch) => ch.id)).toEqual(['ch-watched']);
+
+      manager.healthCheckedAt.set('ch-idle', now - 4 * 30000);
+      expect(manager.getChannelsDueForHealthCheck(30000, now).map((ch) => ch.id)).toEqual(['ch-watched', 'ch-idle']);
+    });
+  });
+
+  describe('stream expiry', () => {
+    test('stores the signed URL expiry on resolution', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const exp = Math.floor(Date.now() / 1000) + 3600;
+      manager.streamResolver = {
+        resolve: jest.fn().mockResolvedValue({ streamUrl: `https://s.test/live.m3u8?expires=${exp}`, contentType: 'application/vnd.apple.mpegurl', headers: {} }),
+      };
+      const channel = { id: 'ch-1', embedUrl: 'https://embed.test/1', sourceOptions: [] };
+
+      await manager.resolveStream(channel);
+      expect(channel.streamExpiresAt).toBe(exp * 1000);
+    });
+
+    test('refreshes just before the URL expiry instead of the global TTL', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const now = Date.now();
+      const channel = {
+        id: 'ch-1', status: 'healthy', streamUrl: 'https://s.test/a.m3u8', failCount: 0,
+        resolvedAt: now - 30 * 60 * 1000, streamExpiresAt: now + 10 * 60 * 1000,
+      };
+      manager.channels = [channel];
+
+      // Past 80% of the 10 minute TTL, but the token is good for another 10 minutes
+      expect(manager.getNextChannelForResolution()).toBeNull();
+
+      channel.streamExpiresAt = now + 30 * 1000;
+      expect(manager.getNextChannelForResolution()).toBe(channel);
+
+      channel.streamExpiresAt = null;
+      expect(manager.getNextChannelForResolution()).toBe(channel);
+    });
+
+    test('treats expired streams as unplayable', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const channel = { id: 'ch-1', status: 'healthy', streamUrl: 'https://s.test/a.m3u8', streamExpiresAt: Date.now() - 1000 };
+      expect(manager.hasPlayableStream(channel)).toBe(false);
+      expect(manager.hasPlayableStream({ ...channel, streamExpiresAt: null })).toBe(true);
+    });
+  });
+
+  describe('playback failover', () => {
+    const sourceOptions = [
+      { source: 'alpha', sourceId: 'a', embedUrl: 'https://alpha.test/embed/1' },
+      { source: 'bravo', sourceId: 'b', embedUrl: 'https://bravo.test/embed/1' },
+    ];
+    const makeChannel = (overrides = {}) => ({
+      id: 'ch-1',
+      status: 'healthy',
+      embedUrl: sourceOptions[0].embedUrl,
+      streamUrl: 'https://cdn-a.test/live.m3u8',
+      resolvedAt: Date.now(),
+      sourceOptions,
+      history: [],
+      ...overrides,
+    });
+    const livePlaylist = (names) => `#EXTM3U\n#EXT-X-TARGETDURATION:6\n${names.map((n) => `#EXTINF:6,\n${n}.ts`).join('\n')}`;
+
+    test('fails over to the next source after repeated segment errors', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.streamResolver = { resolve: jest.fn().mockResolvedValue({ streamUrl: 'https://cdn-b.test/live.m3u8', headers: {} }) };
+      const channel = makeChannel();
+      manager.channels = [channel];
+
+      expect(manager.recordPlaybackResult(channel, { ok: false, status: 502 })).toBeNull();
+      expect(manager.recordPlaybackResult(channel, { ok: true, status: 200 })).toBeNull();
+      manager.recordPlaybackResult(channel, { ok: false, status: 404 });
+      manager.recordPlaybackResult(channel, { ok: false, status: 500 });
+      await expect(manager.recordPlaybackResult(channel, { ok: false, status: 500 })).resolves.toBe(true);
+
+      expect(channel.embedUrl).toBe(sourceOptions[1].embedUrl);
+      expect(channel.selectedSource).toEqual({ source: 'bravo', sourceId: 'b' });
+      expect(channel.history).toEqual([
+        expect.objectContaining({ type: 'failover', from: sourceOptions[0].embedUrl, to: sourceOptions[1].embedUrl, standby: false }),
+      ]);
+
+      await manager.resolving.get('ch-1').promise;
+      expect(channel.streamUrl).toBe('https://cdn-b.test/live.m3u8');
+      expect(manager.streamResolver.resolve).toHaveBeenCalledWith(sourceOptions[1].embedUrl, expect.any(Object));
+    });
+
+    test('leaves token rejections to re-resolution', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const channel = makeChannel();
+      manager.channels = [channel];
+
+      for (let i = 0; i < 5; i += 1) {
+        expect(manager.recordPlaybackResult(channel, { ok: false, status: 403 })).toBeNull();
+      }
+      expect(channel.embedUrl).toBe(sourceOptions[0].embedUrl);
+    });
+
+    test('fails over when the media sequence stops advancing', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.streamResolver = { resolve: jest.fn().mockResolvedValue(null) };
+      const channel = makeChannel();
+      manager.channels = [channel];
+      const now = Date.now();
+
+      expect(manager.recordPlaylistProgress(channel, 'https://cdn-a.test/v/index.m3u8?t=1', livePlaylist(['s1', 's2']), now)).toBeNull();
+      expect(manager.recordPlaylistProgress(channel, 'https://cdn-a.test/v/index.m3u8?t=2', livePlaylist(['s2', 's3']), now + 6000)).toBeNull();
+      expect(manager.recordPlaylistProgress(channel, 'https://cdn-a.test/v/index.m3u8?t=2', livePlaylist(['s2', 's3']), now + 20000)).toBeNull();
+      await expect(
+        manager.recordPlaylistProgress(channel, 'https://cdn-a.test/v/index.m3u8?t=2', livePlaylist(['s2', 's3']), now + 40000)
+      ).resolves.toBe(true);
+
+      expect(channel.history[0].reason).toMatch(/stalled/);
+      await manager.resolving.get('ch-1').promise;
+    });
+
+    test('swaps in a warm standby without re-resolving', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.streamResolver = { resolve: jest.fn().mockResolvedValue({ streamUrl: 'https://cdn-b.test/live.m3u8', headers: { referer: 'https://bravo.test/' } }) };
+      const channel = makeChannel();
+      manager.channels = [channel];
+      manager.recordViewer('ch-1', 'tv');
+
+      expect(manager.getNextStandbyCandidate()).toBe(channel);
+      await manager.startStandbyResolution(channel);
+      expect(manager.streamResolver.resolve).toHaveBeenCalledWith(sourceOptions[1].embedUrl, expect.any(Object));
+      expect(manager.getStandbyCandidates()).toEqual([]);
+
+      await expect(manager.failoverChannel(channel, 'test')).resolves.toBe(true);
+      expect(channel).toEqual(expect.objectContaining({
+        embedUrl: sourceOptions[1].embedUrl,
+        streamUrl: 'https://cdn-b.test/live.m3u8',
+        streamHeaders: { referer: 'https://bravo.test/' },
+        status: 'healthy',
+      }));
+      expect(channel.history[0].standby).toBe(true);
+      expect(manager.resolving.has('ch-1')).toBe(false);
+      // The old source becomes the next standby
+      expect(manager.getStandbyCandidates()).toEqual([channel]);
+    });
+
+    test('does not flap between sources within the cooldown', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const channel = makeChannel();
+      manager.channels = [channel];
+      manager.streamResolver = { resolve: jest.fn().mockResolvedValue({ streamUrl: 'https://cdn-b.test/live.m3u8', headers: {} }) };
+      const now = Date.now();
+
+      await expect(manager.failoverChannel(channel, 'first', now)).resolves.toBe(true);
+      await manager.resolving.get('ch-1').promise;
+      await expect(manager.failoverChannel(channel, 'second', now + 1000)).resolves.toBe(false);
+      expect(channel.history).toHaveLength(1);
+    });
+
+    test('does nothing without an alternative source', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const channel = makeChannel({ sourceOptions: [sourceOptions[0]] });
+      manager.channels = [channel];
+
+      await expect(manager.failoverChannel(channel, 'test')).resolves.toBe(false);
+      expect(channel.status).toBe('healthy');
+    });
+  });
+
+  describe('source scoring', () => {
+    const options = [
+      { source: 'alpha', sourceId: 'a', embedUrl: 'https://embed.test/alpha' },
+      { source: 'bravo', sourceId: 'b', embedUrl: 'https://embed.test/bravo' },
+    ];
+    const event = {
+      title: 'Match',
+      category: 'football',
+      startTime: '2026-10-19T18:00:00Z',
+      embedUrl: options[0].embedUrl,
+      sourceOptions: options,
+    };
+
+    test('orders source options by score and starts new channels on the best one', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.sourceScores.recordResolution(options[0], false);
+      manager.sourceScores.recordResolution(options[1], true, 3000);
+
+      await manager.buildChannels([event]);
+
+      const [channel] = manager.channels;
+      expect(channel.sourceOptions.map((option) => option.source)).toEqual(['bravo', 'alpha']);
+      expect(channel.embedUrl).toBe(options[1].embedUrl);
+      expect(channel.selectedSource).toEqual({ source: 'bravo', sourceId: 'b' });
+    });
+
+    test('keeps a channel on its current source when scores shift', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      await manager.buildChannels([event]);
+      const [channel] = manager.channels;
+      Object.assign(channel, { status: 'healthy', streamUrl: 'https://cdn.test/a.m3u8' });
+
+      manager.sourceScores.recordResolution(options[1], true, 1000);
+      await manager.buildChannels([event]);
+
+      expect(manager.channels[0].sourceOptions[0].source).toBe('bravo');
+      expect(manager.channels[0].embedUrl).toBe(options[0].embedUrl);
+      expect(manager.channels[0].streamUrl).toBe('https://cdn.test/a.m3u8');
+    });
+
+    test('records resolution outcomes per source', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.streamResolver = {
+        resolve: jest.fn()
+          .mockResolvedValueOnce(null)
+          .mockResolvedValueOnce({ streamUrl: 'https://cdn.test/b.m3u8', headers: {} }),
+      };
+      const channel = { id: 'ch-1', embedUrl: options[0].embedUrl, sourceOptions: options };
+
+      await manager.resolveStream(channel);
+
+      const scores = manager.sourceScores.toJSON();
+      expect(scores.alpha.resolveRate).toBe(0);
+      expect(scores.bravo.resolveRate).toBe(1);
+      expect(manager.sourceScores.getScore(options[1])).toBeGreaterThan(manager.sourceScores.getScore(options[0]));
+    });
+
+    test('records health checks and advertised quality', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const channel = {
+        id: 'ch-1', status: 'healthy', embedUrl: options[0].embedUrl, sourceOptions: options,
+        streamUrl: 'https://cdn.test/master.m3u8', streamMimeType: 'application/vnd.apple.mpegurl',
+      };
+      axios.get.mockResolvedValueOnce({
+        status: 200,
+        data: Buffer.from('#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=3000000,RESOLUTION=1280x720\n720.m3u8'),
+      });
+
+      await manager.checkChannelHealth(channel);
+
+      expect(manager.sourceScores.toJSON().alpha).toEqual(expect.objectContaining({ healthRate: 1, height: 720, bandwidth: 3000000 }));
+    });
+
+    test('persists scores with the channel state', async () => {
+      const saved = [];
+      const store = { save: jest.fn(async (snapshot) => saved.push(snapshot)), load: jest.fn(async () => saved[saved.length - 1]) };
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, store });
+      manager.sourceScores.recordHealth(options[0], true);
+      await manager.persist();
+
+      const restored = new ChannelManager({ lifetimeHours: 24, logger, store });
+      await restored.restore();
+      expect(restored.sourceScores.getScore(options[0])).toBe(manager.sourceScores.getScore(options[0]));
+    });
+  });
+
+  describe('quality policy', () => {
+    const master = [
+      '#EXTM3U',
+      '#EXT-X-INDEPENDENT-SEGMENTS',
+      '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360',
+      'low.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=2800000,RESOLUTION=1280x720',
+      'mid.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=6000000,RESOLUTION=1920x1080',
+      'high.m3u8',
+    ].join('\n');
+    const variantsOf = (body) => body.split('\n').filter((line) => line && !line.startsWith('#'));
+
+    test('normalizes shorthand policies', () => {
+      const { normalizeQualityPolicy } = ChannelManager;
+      expect(normalizeQualityPolicy('720p')).toEqual({ mode: 'all', maxHeight: 720, maxBandwidth: null });
+      expect(normalizeQualityPolicy('3000k')).toEqual({ mode: 'all', maxHeight: null, maxBandwidth: 3000000 });
+      expect(normalizeQualityPolicy('Highest')).toEqual({ mode: 'highest', maxHeight: null, maxBandwidth: null });
+      expect(normalizeQualityPolicy({ mode: 'lowest', maxHeight: '1080' })).toEqual({ mode: 'lowest', maxHeight: 1080, maxBandwidth: null });
+      expect(normalizeQualityPolicy(null)).toBeNull();
+      expect(() => normalizeQualityPolicy('best')).toThrow('Unknown quality mode: best');
+      expect(() => normalizeQualityPolicy({ maxHeight: -1 })).toThrow('maxHeight must be a positive number');
+    });
+
+    test('passes every variant through by default', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      expect(manager.applyQualityPolicy({ id: 'ch-1' }, master)).toBe(master);
+    });
+
+    test('filters variants by the global policy', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, qualityPolicy: '720p' });
+      const filtered = manager.applyQualityPolicy({ id: 'ch-1' }, master);
+
+      expect(variantsOf(filtered)).toEqual(['low.m3u8', 'mid.m3u8']);
+      expect(filtered).toContain('#EXT-X-INDEPENDENT-SEGMENTS');
+      expect(filtered).not.toContain('RESOLUTION=1920x1080');
+    });
+
+    test('picks the highest or lowest variant within the caps', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      expect(variantsOf(manager.applyQualityPolicy({ qualityPolicy: { mode: 'highest' } }, master))).toEqual(['high.m3u8']);
+      expect(variantsOf(manager.applyQualityPolicy({ qualityPolicy: { mode: 'lowest' } }, master))).toEqual(['low.m3u8']);
+      expect(variantsOf(manager.applyQualityPolicy(
+        { qualityPolicy: { mode: 'highest', maxBandwidth: 3000000 } }, master
+      ))).toEqual(['mid.m3u8']);
+    });
+
+    test('keeps the lowest variant when nothing fits the cap', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, qualityPolicy: { maxHeight: 240 } });
+      expect(variantsOf(manager.applyQualityPolicy({ id: 'ch-1' }, master))).toEqual(['low.m3u8']);
+    });
+
+    test('falls back to the global policy when a channel override is cleared', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, qualityPolicy: 'lowest' });
+      manager.channels = [{ id: 'ch-1' }];
+
+      await manager.setQualityPolicy('ch-1', '1080p');
+      expect(manager.channels[0].qualityPolicy).toEqual({ mode: 'all', maxHeight: 1080, maxBandwidth: null });
+      expect(variantsOf(manager.applyQualityPolicy(manager.channels[0], master))).toHaveLength(3);
+
+      await manager.setQualityPolicy('ch-1', null);
+      expect(variantsOf(manager.applyQualityPolicy(manager.channels[0], master))).toEqual(['low.m3u8']);
+      await expect(manager.setQualityPolicy('missing', 'lowest')).resolves.toBeNull();
+    });
+  });
+
+  describe('transcoding profiles', () => {
+    test('passes the channel profile to the transmuxer and forces transmux delivery', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, transcodeProfile: 'h264-720p' });
+      manager.transmuxer.ensureJob = jest.fn().mockResolvedValue({ manifestPath: '/tmp/x.m3u8' });
+      const channel = { id: 'ch-1', streamUrl: 'https://s.test/a.m3u8', streamHeaders: {} };
+      manager.channels = [channel];
+
+      await manager.ensureTransmuxed(channel);
+      expect(manager.transmuxer.ensureJob).toHaveBeenCalledWith('ch-1', 'https://s.test/a.m3u8', {}, 'h264-720p', { priority: 0 });
+      manager.recordViewer('ch-1', 'tv');
+      await manager.ensureTransmuxed(channel, 'audio-only-aac');
+      expect(manager.transmuxer.ensureJob).toHaveBeenLastCalledWith('ch-1', 'https://s.test/a.m3u8', {}, 'audio-only-aac', { priority: 1 });
+      expect(manager.getDeliveryMode(channel)).toBe('transmux');
+      expect(manager.getDeliveryMode({ ...channel, transcodeProfile: 'copy' })).toBe('proxy');
+    });
+
+    test('falls back to copy for an unknown default profile', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger, transcodeProfile: 'nope' });
+      expect(manager.transcodeProfile).toBe('copy');
+    });
+
+    test('setTranscodeProfile validates and stops the previous profile job', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.channels = [{ id: 'ch-1' }];
+      manager.transmuxer.cleanupJob = jest.fn().mockResolvedValue();
+
+      await expect(manager.setTranscodeProfile('ch-1', 'h265-4k')).rejects.toThrow('Unknown transcoding profile');
+      await manager.setTranscodeProfile('ch-1', 'low-bandwidth');
+      expect(manager.transmuxer.cleanupJob).toHaveBeenCalledWith('ch-1', 'copy');
+      expect(manager.getTranscodeProfile(manager.channels[0])).toBe('low-bandwidth');
+
+      await manager.setTranscodeProfile('ch-1', null);
+      expect(manager.transmuxer.cleanupJob).toHaveBeenLastCalledWith('ch-1', 'low-bandwidth');
+      expect(manager.getTranscodeProfile(manager.channels[0])).toBe('copy');
+    });
+
+    test('carries the profile on local segment URLs', () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const rewritten = manager.rewriteLocalManifest('#EXTM3U\n#EXTINF:6,\nsegment_000.ts', 'http://h/hls/ch-1/local', 'profile=h264-720p');
+      expect(rewritten).toContain('http://h/hls/ch-1/local/segment_000.ts?profile=h264-720p');
+    });
+  });
+
+  describe('transmux supervision', () => {
+    test('re-resolves a channel whose transmux input was rejected', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      const channel = { id: 'ch-1', status: 'healthy', streamUrl: 'https://s.test/old.m3u8', streamHeaders: {} };
+      manager.channels = [channel];
+      manager.requestResolution = jest.fn(async (ch) => {
+        Object.assign(ch, { streamUrl: 'https://s.test/new.m3u8', streamHeaders: { Referer: 'https://e.test/' } });
+        return ch;
+      });
+
+      const input = await manager.refreshTransmuxInput({ channelId: 'ch-1', inputUrl: 'https://s.test/old.m3u8' }, { forbidden: true });
+
+      expect(manager.requestResolution.mock.calls[0][0].status).toBe('pending');
+      expect(input).toEqual({ inputUrl: 'https://s.test/new.m3u8', headers: { Referer: 'https://e.test/' } });
+      expect(manager.transmuxer.refreshInput).toEqual(expect.any(Function));
+    });
+
+    test('keeps a working input when ffmpeg merely exited', async () => {
+      const manager = new ChannelManager({ lifetimeHours: 24, logger });
+      manager.channels = [{ id: 'ch-1', status: 'healthy', streamUrl: 'https://s.test/a.m3u8' }];
+
+      const input = await manager.refreshTransmuxInput({ channelId: 'ch-1', inputUrl: 'https://s.test/a.m3u8' });
+
+      expect(manager.channels[0].status).toBe('healthy');
+      expect(input).toEqual({ inputUrl: 'https://s.test/a.m3u8', headers: {} });
+      await expect(manager.refreshTransmuxInput({ channelId: 'gone' })).resolves.toBeNull();
+    });
+  });
 });
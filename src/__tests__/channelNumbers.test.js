@@ -0,0 +1,45 @@
+const { ChannelNumberAllocator } = require('../channelNumbers');
+
+describe('ChannelNumberAllocator', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+  test('assigns from category ranges and the default range', () => {
+    const allocator = new ChannelNumberAllocator({ ranges: { football: [100, 101] }, logger });
+    expect(allocator.assign('a', 'football')).toBe(100);
+    expect(allocator.assign('b', 'Football')).toBe(101);
+    expect(allocator.assign('c', 'tennis')).toBe(1000);
+  });
+
+  test('keeps numbers stable for known keys', () => {
+    const allocator = new ChannelNumberAllocator({ logger });
+    const first = allocator.assign('a', 'football');
+    allocator.assign('b', 'football');
+    expect(allocator.assign('a', 'football')).toBe(first);
+  });
+
+  test('reuses freed numbers lowest-first', () => {
+    const allocator = new ChannelNumberAllocator({ ranges: { football: { start: 10, end: 20 } }, logger });
+    allocator.assign('a', 'football');
+    allocator.assign('b', 'football');
+    allocator.assign('c', 'football');
+    allocator.retain(['c']);
+    expect(allocator.assign('d', 'football')).toBe(10);
+    expect(allocator.get('c')).toBe(12);
+  });
+
+  test('falls back to the default range when a category range is exhausted', () => {
+    const allocator = new ChannelNumberAllocator({ defaultStart: 500, ranges: { football: [1, 1] }, logger });
+    allocator.assign('a', 'football');
+    expect(allocator.assign('b', 'football')).toBe(500);
+    expect(logger.warn).toHaveBeenCalledWith('Channel number range exhausted, using default range', expect.any(Object));
+  });
+
+  test('round-trips assignments through JSON', () => {
+    const allocator = new ChannelNumberAllocator({ logger });
+    allocator.assign('a', 'football');
+    const restored = new ChannelNumberAllocator({ logger });
+    restored.load(JSON.parse(JSON.stringify(allocator)));
+    expect(restored.get('a')).toBe(1000);
+    expect(restored.assign('b', 'football')).toBe(1001);
+  });
+});
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonChannelStore } = require('../channelStore');
+
+describe('JsonChannelStore', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'redcarrd-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  test('returns null when no state has been saved', async () => {
+    const store = new JsonChannelStore({ filePath: path.join(dir, 'state.json'), logger });
+    await expect(store.load()).resolves.toBeNull();
+  });
+
+  test('round-trips a snapshot', async () => {
+    const store = new JsonChannelStore({ filePath: path.join(dir, 'state.json'), logger });
+    await store.save({ channels: [{ id: 'ch-1', streamUrl: 'https://s.test/a.m3u8' }], programmes: [] });
+
+    const loaded = await store.load();
+    expect(loaded.channels).toEqual([{ id: 'ch-1', streamUrl: 'https://s.test/a.m3u8' }]);
+    expect(fs.existsSync(path.join(dir, 'state.json.tmp'))).toBe(false);
+  });
+
+  test('coalesces concurrent saves and keeps the latest snapshot', async () => {
+    const store = new JsonChannelStore({ filePath: path.join(dir, 'state.json'), logger });
+    await Promise.all([
+      store.save({ channels: [{ id: 'first' }] }),
+      store.save({ channels: [{ id: 'second' }] }),
+      store.save({ channels: [{ id: 'third' }] }),
+    ]);
+
+    const loaded = await store.load();
+    expect(loaded.channels).toEqual([{ id: 'third' }]);
+  });
+
+  test('ignores snapshots with an unknown version', async () => {
+    const filePath = path.join(dir, 'state.json');
+    await fs.promises.writeFile(filePath, JSON.stringify({ version: 999, channels: [{ id: 'x' }] }));
+    const store = new JsonChannelStore({ filePath, logger });
+    await expect(store.load()).resolves.toBeNull();
+  });
+});
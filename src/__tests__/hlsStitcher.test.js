@@ -0,0 +1,171 @@
+const { HlsStitcher, parseMediaPlaylist, parseMasterVariants } = require('../hlsStitcher');
+
+const playlist = (mediaSequence, names, { extraHeader = [], host = 'https://cdn-a.test' } = {}) => [
+  '#EXTM3U',
+  '#EXT-X-VERSION:3',
+  '#EXT-X-TARGETDURATION:6',
+  `#EXT-X-MEDIA-SEQUENCE:${mediaSequence}`,
+  ...extraHeader,
+  ...names.flatMap((name) => ['#EXTINF:6.0,', `${host}/live/${name}.ts?token=abc`]),
+].join('\n');
+
+const segmentLines = (body) => body.split('\n').filter((line) => line && !line.startsWith('#'));
+
+describe('parseMediaPlaylist', () => {
+  test('resolves segment URIs and tracks keys per segment', () => {
+    const parsed = parseMediaPlaylist(
+      '#EXTM3U\n#EXT-X-MEDIA-SEQUENCE:7\n#EXT-X-KEY:METHOD=AES-128,URI="k.bin"\n#EXTINF:4,\nseg7.ts?t=1',
+      'https://cdn.test/live/index.m3u8'
+    );
+
+    expect(parsed.mediaSequence).toBe(7);
+    expect(parsed.segments).toEqual([
+      expect.objectContaining({
+        uri: 'https://cdn.test/live/seg7.ts?t=1',
+        path: 'https://cdn.test/live/seg7.ts',
+        tags: ['#EXTINF:4,'],
+        keyLine: '#EXT-X-KEY:METHOD=AES-128,URI="https://cdn.test/live/k.bin"',
+      }),
+    ]);
+  });
+});
+
+describe('parseMasterVariants', () => {
+  test('pairs STREAM-INF attributes with absolute variant URLs', () => {
+    const variants = parseMasterVariants(
+      '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nlow.m3u8\n#EXT-X-STREAM-INF:BANDWIDTH=2400000\nhigh.m3u8',
+      'https://cdn.test/master.m3u8'
+    );
+
+    expect(variants).toEqual([
+      { attributes: 'BANDWIDTH=800000', url: 'https://cdn.test/low.m3u8' },
+      { attributes: 'BANDWIDTH=2400000', url: 'https://cdn.test/high.m3u8' },
+    ]);
+  });
+});
+
+describe('HlsStitcher', () => {
+  test('appends only new segments while the source stays the same', () => {
+    const stitcher = new HlsStitcher();
+    stitcher.update('ch:main', playlist(100, ['s100', 's101', 's102']), 'https://cdn-a.test/live/index.m3u8', 'a');
+    stitcher.update('ch:main', playlist(101, ['s101', 's102', 's103']), 'https://cdn-a.test/live/index.m3u8', 'a');
+
+    const rendered = stitcher.render('ch:main');
+    expect(rendered).toContain('#EXT-X-MEDIA-SEQUENCE:100');
+    expect(rendered).not.toContain('#EXT-X-DISCONTINUITY\n');
+    expect(segmentLines(rendered)).toEqual(['s100', 's101', 's102', 's103'].map((n) => `https://cdn-a.test/live/${n}.ts?token=abc`));
+  });
+
+  test('continues numbering across a source switch with a discontinuity', () => {
+    const stitcher = new HlsStitcher();
+    stitcher.update('ch:main', playlist(100, ['s100', 's101']), 'https://cdn-a.test/live/index.m3u8', 'a');
+    stitcher.update('ch:main', playlist(5, ['b5', 'b6', 'b7', 'b8', 'b9'], { host: 'https://cdn-b.test' }), 'https://cdn-b.test/live/index.m3u8', 'b');
+
+    const rendered = stitcher.render('ch:main');
+    const lines = rendered.split('\n');
+    expect(rendered).toContain('#EXT-X-MEDIA-SEQUENCE:100');
+    // Joins the new source near its live edge rather than replaying its whole window
+    expect(segmentLines(rendered)).toEqual([
+      'https://cdn-a.test/live/s100.ts?token=abc',
+      'https://cdn-a.test/live/s101.ts?token=abc',
+      'https://cdn-b.test/live/b7.ts?token=abc',
+      'https://cdn-b.test/live/b8.ts?token=abc',
+      'https://cdn-b.test/live/b9.ts?token=abc',
+    ]);
+    expect(lines.indexOf('#EXT-X-DISCONTINUITY')).toBe(lines.indexOf('https://cdn-a.test/live/s101.ts?token=abc') + 1);
+  });
+
+  test('skips segments already served when a refreshed URL overlaps the old one', () => {
+    const stitcher = new HlsStitcher();
+    stitcher.update('ch:main', playlist(100, ['s100', 's101', 's102']), 'https://cdn-a.test/live/index.m3u8?token=old', 'old');
+    // Same CDN path with a new token; sequence numbers are reported differently
+    stitcher.update('ch:main', playlist(0, ['s101', 's102', 's103']), 'https://cdn-a.test/live/index.m3u8?token=new', 'new');
+
+    const rendered = stitcher.render('ch:main');
+    expect(rendered).not.toContain('#EXT-X-DISCONTINUITY\n');
+    expect(segmentLines(rendered).map((uri) => uri.split('/').pop())).toEqual([
+      's100.ts?token=abc',
+      's101.ts?token=abc',
+      's102.ts?token=abc',
+      's103.ts?token=abc',
+    ]);
+  });
+
+  test('advances the discontinuity sequence as stitched boundaries leave the window', () => {
+    const stitcher = new HlsStitcher({ windowSize: 3 });
+    stitcher.update('ch:main', playlist(1, ['s1', 's2']), 'https://cdn-a.test/live/index.m3u8', 'a');
+    stitcher.update('ch:main', playlist(1, ['b1', 'b2']), 'https://cdn-a.test/live/other.m3u8', 'b');
+    expect(stitcher.render('ch:main')).toContain('#EXT-X-DISCONTINUITY-SEQUENCE:0');
+
+    stitcher.update('ch:main', playlist(2, ['b2', 'b3', 'b4']), 'https://cdn-a.test/live/other.m3u8', 'b');
+
+    const rendered = stitcher.render('ch:main');
+    expect(rendered).toContain('#EXT-X-MEDIA-SEQUENCE:4');
+    expect(rendered).toContain('#EXT-X-DISCONTINUITY-SEQUENCE:1');
+    expect(rendered).not.toContain('#EXT-X-DISCONTINUITY\n');
+  });
+
+  test('re-emits keys and init sections after a switch', () => {
+    const stitcher = new HlsStitcher();
+    stitcher.update('ch:main', playlist(1, ['s1'], { extraHeader: ['#EXT-X-MAP:URI="init-a.mp4"'] }), 'https://cdn-a.test/live/index.m3u8', 'a');
+    stitcher.update('ch:main', playlist(1, ['b1'], { extraHeader: ['#EXT-X-MAP:URI="init-a.mp4"'], host: 'https://cdn-b.test' }), 'https://cdn-a.test/live/index.m3u8', 'b');
+
+    const rendered = stitcher.render('ch:main');
+    expect(rendered.match(/#EXT-X-MAP:URI="https:\/\/cdn-a\.test\/live\/init-a\.mp4"/g)).toHaveLength(2);
+  });
+
+  test('maps a client variant to the same rendition in a new master', () => {
+    const stitcher = new HlsStitcher();
+    stitcher.setMaster('ch', 'https://cdn-a.test/master.m3u8', '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nlow.m3u8\n#EXT-X-STREAM-INF:BANDWIDTH=2400000\nhigh.m3u8');
+    expect(stitcher.getVariantUrl('ch', 'https://cdn-a.test/master.m3u8', 1)).toBe('https://cdn-a.test/high.m3u8');
+
+    // The new source lists renditions in a different order
+    expect(stitcher.getVariantUrl('ch', 'https://cdn-b.test/master.m3u8', 1)).toBeNull();
+    stitcher.setMaster('ch', 'https://cdn-b.test/master.m3u8', '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=2400000\nhd.m3u8\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nsd.m3u8');
+    expect(stitcher.getVariantUrl('ch', 'https://cdn-b.test/master.m3u8', 1)).toBe('https://cdn-b.test/hd.m3u8');
+
+    // A source that is a plain media playlist serves every variant
+    stitcher.setMaster('ch', 'https://cdn-c.test/index.m3u8', playlist(1, ['c1']));
+    expect(stitcher.getVariantUrl('ch', 'https://cdn-c.test/index.m3u8', 0)).toBe('https://cdn-c.test/index.m3u8');
+  });
+
+  test('maps a client audio rendition to the same language in a new master', () => {
+    const stitcher = new HlsStitcher();
+    const master = (host, renditions) => ['#EXTM3U', ...renditions.map(([name, lang, uri]) => (
+      `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="${name}",LANGUAGE="${lang}",URI="${uri}"`
+    )), '#EXT-X-STREAM-INF:BANDWIDTH=800000,AUDIO="aud"', `${host}/v.m3u8`].join('\n');
+
+    stitcher.setMaster('ch', 'https://cdn-a.test/master.m3u8', master('https://cdn-a.test', [['English', 'en', 'en.m3u8'], ['Spanish', 'es', 'es.m3u8']]));
+    expect(stitcher.getRenditionUrl('ch', 'https://cdn-a.test/master.m3u8', 1)).toBe('https://cdn-a.test/es.m3u8');
+
+    // The new source names and orders its tracks differently
+    expect(stitcher.getRenditionUrl('ch', 'https://cdn-b.test/master.m3u8', 1)).toBeNull();
+    stitcher.setMaster('ch', 'https://cdn-b.test/master.m3u8', master('https://cdn-b.test', [['Espanol', 'es', 'a1.m3u8'], ['Eng', 'en', 'a2.m3u8']]));
+    expect(stitcher.getRenditionUrl('ch', 'https://cdn-b.test/master.m3u8', 1)).toBe('https://cdn-b.test/a1.m3u8');
+    expect(stitcher.getRenditionUrl('ch', 'https://cdn-b.test/master.m3u8', 0)).toBe('https://cdn-b.test/a2.m3u8');
+    expect(stitcher.getRenditionUrl('ch', 'https://cdn-b.test/master.m3u8', 5)).toBeNull();
+  });
+
+  test('knows which upstream URLs its playlists handed out', () => {
+    const stitcher = new HlsStitcher();
+    stitcher.update('ch:main', playlist(1, ['s1'], { extraHeader: ['#EXT-X-KEY:METHOD=AES-128,URI="key.bin"'] }), 'https://cdn-a.test/live/index.m3u8', 'a');
+
+    expect(stitcher.listsUrl('ch', 'https://cdn-a.test/live/s1.ts?token=abc')).toBe(true);
+    expect(stitcher.listsUrl('ch', 'https://cdn-a.test/live/key.bin')).toBe(true);
+    expect(stitcher.listsUrl('ch', 'https://cdn-a.test/live/s2.ts?token=abc')).toBe(false);
+    expect(stitcher.listsUrl('other', 'https://cdn-a.test/live/s1.ts?token=abc')).toBe(false);
+  });
+
+  test('drops all state for a channel', () => {
+    const stitcher = new HlsStitcher();
+    stitcher.update('ch:0', playlist(1, ['s1']), 'https://cdn-a.test/live/index.m3u8', 'a');
+    stitcher.update('other:0', playlist(1, ['s1']), 'https://cdn-a.test/live/index.m3u8', 'a');
+    stitcher.setMaster('ch', 'https://cdn-a.test/master.m3u8', '#EXTM3U');
+
+    stitcher.drop('ch');
+
+    expect(stitcher.has('ch:0')).toBe(false);
+    expect(stitcher.has('other:0')).toBe(true);
+    expect(stitcher.stats()).toEqual({ playlists: 1, masters: 0 });
+  });
+});
@@ -0,0 +1,117 @@
+const nock = require('nock');
+const {
+  registerProvider,
+  createProviders,
+  fetchEventsFromProviders,
+  normalizeEvent,
+} = require('../providers');
+
+describe('event providers', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('defaults to the streamed.pk API provider', () => {
+    const providers = createProviders(undefined, { logger });
+    expect(providers).toHaveLength(1);
+    expect(providers[0]).toMatchObject({ type: 'streamed-api', name: 'streamed-api', url: 'https://streamed.pk' });
+  });
+
+  test('skips disabled and unknown providers', () => {
+    const providers = createProviders(
+      [{ type: 'streamed-api', enabled: false }, { type: 'nope' }, { type: 'html', url: 'https://example.com' }],
+      { logger },
+    );
+    expect(providers.map((provider) => provider.type)).toEqual(['html']);
+    expect(logger.warn).toHaveBeenCalledWith('Unknown event provider type, skipping', { type: 'nope' });
+  });
+
+  test('normalizeEvent fills defaults and drops events without an embed', () => {
+    expect(normalizeEvent({ title: 'No embed' }, 'p')).toBeNull();
+    expect(
+      normalizeEvent({ title: ' Match ', category: 'Football', sourceOptions: [{ embedUrl: 'https://e.test/1' }] }, 'p'),
+    ).toMatchObject({ title: 'Match', category: 'football', embedUrl: 'https://e.test/1', qualityOptions: [], provider: 'p' });
+  });
+
+  test('merges events from several providers and tolerates a failing one', async () => {
+    const startTime = new Date('2024-01-01T12:00:00Z');
+    registerProvider('test-static', (options) => ({
+      fetchEvents: async () => options.events,
+    }));
+    registerProvider('test-broken', () => ({
+      fetchEvents: async () => {
+        throw new Error('boom');
+      },
+    }));
+
+    const providers = createProviders(
+      [
+        {
+          type: 'test-static',
+          name: 'primary',
+          events: [
+            { title: 'Match', category: 'football', startTime, embedUrl: 'https://a.test/1', sourceOptions: [{ embedUrl: 'https://a.test/1' }] },
+          ],
+        },
+        {
+          type: 'test-static',
+          name: 'secondary',
+          events: [
+            { title: 'match', category: 'football', startTime, embedUrl: 'https://b.test/1', sourceOptions: [{ embedUrl: 'https://b.test/1' }] },
+            { title: 'Other', category: 'tennis', embedUrl: 'https://b.test/2' },
+          ],
+        },
+        { type: 'test-broken' },
+      ],
+      { logger },
+    );
+
+    const events = await fetchEventsFromProviders(providers, { timezone: 'UTC', logger });
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatchObject({ title: 'Match', provider: 'primary', embedUrl: 'https://a.test/1' });
+    expect(events[0].sourceOptions.map((opt) => opt.embedUrl)).toEqual(['https://a.test/1', 'https://b.test/1']);
+    expect(events[1]).toMatchObject({ title: 'Other', provider: 'secondary' });
+    expect(logger.error).toHaveBeenCalledWith('Event provider failed', expect.objectContaining({ type: 'test-broken' }));
+  });
+
+  test('merges events whose start time cannot be parsed', async () => {
+    registerProvider('test-static', (options) => ({
+      fetchEvents: async () => options.events,
+    }));
+    const providers = createProviders(
+      [
+        { type: 'test-static', name: 'primary', events: [{ title: 'Match', category: 'football', startTime: 'soon', embedUrl: 'https://a.test/1' }] },
+        { type: 'test-static', name: 'secondary', events: [{ title: 'Other', category: 'tennis', embedUrl: 'https://b.test/2' }] },
+      ],
+      { logger },
+    );
+
+    const events = await fetchEventsFromProviders(providers, { logger });
+    expect(events.map((event) => event.title)).toEqual(['Match', 'Other']);
+  });
+
+  test('throws when every provider fails', async () => {
+    nock('https://streamed.pk').get('/api/matches/live').reply(500);
+    const providers = createProviders([{ type: 'streamed-api' }], { logger });
+    await expect(fetchEventsFromProviders(providers, { logger })).rejects.toThrow('All event providers failed');
+  });
+
+  test('html provider parses the front page markup', async () => {
+    nock('https://front.test')
+      .get('/')
+      .reply(
+        200,
+        `<div class="match-card" data-category="football">
+          <a class="match-title" href="https://embed.test/1">Live Match</a>
+          <span class="live-badge">Live</span>
+        </div>`,
+      );
+
+    const providers = createProviders([{ type: 'html', url: 'https://front.test/', renderWithJs: false }], { logger });
+    const events = await fetchEventsFromProviders(providers, { logger });
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ title: 'Live Match', category: 'football', embedUrl: 'https://embed.test/1', provider: 'html' });
+  });
+});
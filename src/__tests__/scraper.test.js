@@ -118,4 +118,104 @@ describe('scraper helpers', () => {
     expect(stop.diff(start, 'hour')).toBe(2);
   });
 
+
+  test('uses per-category programme durations', () => {
+    const startTime = new Date('2024-01-01T12:00:00Z');
+    const football = createProgrammeFromEvent({ title: 'F', category: 'football', startTime }, 'ch-1', 24, 'UTC');
+    expect(dayjs(football.stop).diff(football.start, 'minute')).toBe(120);
+
+    const custom = createProgrammeFromEvent(
+      { title: 'T', category: 'tennis', startTime },
+      'ch-2',
+      24,
+      'UTC',
+      { tennis: 90 },
+    );
+    expect(dayjs(custom.stop).diff(custom.start, 'minute')).toBe(90);
+
+    const unknown = createProgrammeFromEvent({ title: 'U', category: 'curling', startTime }, 'ch-3', 24, 'UTC', { default: 45 });
+    expect(dayjs(unknown.stop).diff(unknown.start, 'minute')).toBe(45);
+  });
+
+  test('prefers a provider end time and caps programmes at the channel lifetime', () => {
+    const startTime = new Date('2024-01-01T12:00:00Z');
+    const withEnd = createProgrammeFromEvent(
+      { title: 'E', category: 'football', startTime, endTime: new Date('2024-01-01T12:45:00Z') },
+      'ch-1',
+      24,
+      'UTC',
+    );
+    expect(dayjs(withEnd.stop).diff(withEnd.start, 'minute')).toBe(45);
+
+    const capped = createProgrammeFromEvent({ title: 'C', category: 'cricket', startTime }, 'ch-2', 1, 'UTC');
+    expect(dayjs(capped.stop).diff(capped.start, 'minute')).toBe(60);
+  });
+
+  test('buildEventsFromApi carries teams, badges and poster metadata', () => {
+    const [event] = buildEventsFromApi(
+      [
+        {
+          title: 'Arsenal vs Chelsea',
+          category: 'football',
+          date: 1736420400000,
+          poster: '/api/images/proxy/poster-1.webp',
+          teams: { home: { name: 'Arsenal', badge: 'ars' }, away: { name: 'Chelsea', badge: 'https://img.test/che.png' } },
+          sources: [{ source: 'admin', id: 'm-1' }],
+        },
+      ],
+      'https://streamed.pk',
+      'UTC',
+    );
+
+    expect(event.poster).toBe('https://streamed.pk/api/images/proxy/poster-1.webp');
+    expect(event.teams).toEqual({
+      home: { name: 'Arsenal', badge: 'https://streamed.pk/api/images/badge/ars.webp' },
+      away: { name: 'Chelsea', badge: 'https://img.test/che.png' },
+    });
+  });
+
+  test('creates programme metadata from teams and league', () => {
+    const programme = createProgrammeFromEvent(
+      {
+        title: 'Derby Day',
+        category: 'football',
+        league: 'Premier League',
+        live: true,
+        teams: { home: { name: 'Arsenal', badge: 'https://img.test/ars.png' }, away: { name: 'Chelsea' } },
+      },
+      'ch-1',
+      24,
+      'UTC',
+    );
+
+    expect(programme).toMatchObject({
+      subTitle: 'Arsenal vs Chelsea',
+      description: 'Premier League · Arsenal vs Chelsea · football',
+      icon: 'https://img.test/ars.png',
+      live: true,
+    });
+  });
+
+  test('scrapeFrontPage includes upcoming matches when asked', async () => {
+    const soon = Date.now() + 60 * 60 * 1000;
+    const later = Date.now() + 48 * 60 * 60 * 1000;
+    const live = [{ id: 'live-1', title: 'Live Match', category: 'football', date: Date.now(), sources: [{ source: 'admin', id: 'live-1' }] }];
+    const all = [
+      ...live,
+      { id: 'up-1', title: 'Upcoming Match', category: 'football', date: soon, sources: [{ source: 'admin', id: 'up-1' }] },
+      { id: 'up-2', title: 'Far Future', category: 'football', date: later, sources: [{ source: 'admin', id: 'up-2' }] },
+    ];
+
+    nock('https://streamed.pk').get('/api/matches/live').reply(200, live);
+    nock('https://streamed.pk').get('/api/matches/all').reply(200, all);
+    nock('https://streamed.pk')
+      .get('/api/stream/admin/live-1')
+      .reply(200, [{ streamNo: 1, embedUrl: 'https://embedsports.top/embed/admin/live-1/1' }]);
+    nock('https://streamed.pk').get('/api/stream/admin/up-1').reply(200, []);
+
+    const events = await scrapeFrontPage('https://streamed.pk', 'UTC', undefined, { includeUpcoming: true, upcomingHours: 6 });
+    expect(events).toHaveLength(2);
+    expect(events[0]).toMatchObject({ title: 'Live Match', live: true });
+    expect(events[1]).toMatchObject({ title: 'Upcoming Match', live: false, embedUrl: null, sourceOptions: [] });
+  });
 });
@@ -0,0 +1,96 @@
+const { Readable } = require('stream');
+const { SegmentCache } = require('../segmentCache');
+
+const upstream = (body, overrides = {}) => ({
+  status: 200,
+  contentType: 'video/mp2t',
+  stream: Readable.from([Buffer.from(body)]),
+  ...overrides,
+});
+
+describe('SegmentCache', () => {
+  test('serves repeat requests from cache', async () => {
+    const cache = new SegmentCache();
+    const loader = jest.fn().mockImplementation(async () => upstream('seg-1'));
+
+    const first = await cache.fetch('https://cdn.test/1.ts', loader);
+    const second = await cache.fetch('https://cdn.test/1.ts', loader);
+
+    expect(first.cache).toBe('miss');
+    expect(second.cache).toBe('hit');
+    expect(second.data.toString()).toBe('seg-1');
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(cache.stats()).toEqual(expect.objectContaining({ hits: 1, misses: 1, entries: 1, bytes: 5 }));
+  });
+
+  test('coalesces concurrent requests into one upstream fetch', async () => {
+    const cache = new SegmentCache();
+    const loader = jest.fn().mockImplementation(async () => upstream('shared'));
+    const onStream = jest.fn().mockReturnValue(true);
+
+    const results = await Promise.all([
+      cache.fetch('https://cdn.test/2.ts', loader, onStream),
+      cache.fetch('https://cdn.test/2.ts', loader, onStream),
+      cache.fetch('https://cdn.test/2.ts', loader, onStream),
+    ]);
+
+    expect(loader).toHaveBeenCalledTimes(1);
+    expect(onStream).toHaveBeenCalledTimes(1);
+    expect(results.map((r) => r.cache)).toEqual(['miss', 'coalesced', 'coalesced']);
+    expect(results[0].streamed).toBe(true);
+    expect(results[2].data.toString()).toBe('shared');
+    expect(cache.stats().coalesced).toBe(2);
+  });
+
+  test('expires entries after the TTL', async () => {
+    const cache = new SegmentCache({ ttlMs: 1000 });
+    const loader = jest.fn().mockImplementation(async () => upstream('seg'));
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+
+    await cache.fetch('k', loader);
+    now.mockReturnValue(1500);
+    const result = await cache.fetch('k', loader);
+
+    expect(result.cache).toBe('miss');
+    expect(loader).toHaveBeenCalledTimes(2);
+    now.mockRestore();
+  });
+
+  test('evicts least recently used entries past maxBytes', async () => {
+    const cache = new SegmentCache({ maxBytes: 10 });
+    await cache.fetch('a', async () => upstream('aaaa'));
+    await cache.fetch('b', async () => upstream('bbbb'));
+    await cache.fetch('a', jest.fn());
+    await cache.fetch('c', async () => upstream('cccc'));
+
+    expect(cache.get('b')).toBeNull();
+    expect(cache.get('a')).not.toBeNull();
+    expect(cache.stats()).toEqual(expect.objectContaining({ evictions: 1, bytes: 8 }));
+  });
+
+  test('does not cache manifests, errors or failed fetches', async () => {
+    const cache = new SegmentCache();
+
+    await cache.fetch('m', async () => upstream('#EXTM3U', { cacheable: false }));
+    await cache.fetch('404', async () => upstream('nope', { status: 404 }));
+    await expect(cache.fetch('boom', async () => { throw new Error('upstream down'); })).rejects.toThrow('upstream down');
+
+    expect(cache.stats()).toEqual(expect.objectContaining({ entries: 0, inflight: 0 }));
+  });
+
+  test('gives coalesced callers their own fetch when the body is too large to share', async () => {
+    const cache = new SegmentCache({ maxEntryBytes: 4 });
+    const loader = jest.fn().mockImplementation(async () => upstream('way too large'));
+    const onStream = jest.fn().mockReturnValue(true);
+
+    const [leader, follower] = await Promise.all([
+      cache.fetch('big', loader, onStream),
+      cache.fetch('big', loader, onStream),
+    ]);
+
+    expect(leader.streamed).toBe(true);
+    expect(follower.streamed).toBe(true);
+    expect(loader).toHaveBeenCalledTimes(2);
+    expect(cache.stats().entries).toBe(0);
+  });
+});
@@ -31,3 +31,162 @@ describe('Server endpoints (via ChannelManager)', () => {
     expect(playlist).not.toContain('ch-dead');
   });
 });
+
+describe('HLS routes', () => {
+  const { Readable } = require('stream');
+  const axios = require('axios');
+  const request = require('supertest');
+  let app;
+  let channelManager;
+
+  const channel = (overrides = {}) => ({
+    id: 'ch-1',
+    category: 'football',
+    title: 'Derby',
+    status: 'healthy',
+    embedUrl: 'https://embed.test/1',
+    streamUrl: 'https://cdn.test/live/index.m3u8',
+    ...overrides,
+  });
+  const upstream = (body, contentType = 'application/vnd.apple.mpegurl', status = 200) => ({
+    status,
+    headers: { 'content-type': contentType },
+    data: Readable.from([Buffer.from(body)]),
+  });
+  const mediaPlaylist = '#EXTM3U\n#EXT-X-TARGETDURATION:6\n#EXT-X-MEDIA-SEQUENCE:1\n#EXTINF:6,\nseg-1.ts\n';
+
+  beforeAll(() => {
+    process.env.LOG_TO_FILE = 'false';
+    process.env.STATE_STORE = 'none';
+    ({ app, channelManager } = require('../server'));
+  });
+
+  beforeEach(() => {
+    axios.get.mockReset();
+    channelManager.lazyResolution = { enabled: false, timeoutSeconds: 30 };
+    channelManager.hlsStitcher.drop('ch-1');
+  });
+
+  test('redirects, proxies or transmuxes according to the delivery mode', async () => {
+    channelManager.channels = [channel({ deliveryMode: 'redirect' })];
+    const redirected = await request(app).get('/hls/ch-1');
+    expect(redirected.status).toBe(302);
+    expect(redirected.headers.location).toBe('https://cdn.test/live/index.m3u8');
+
+    channelManager.channels = [channel({ deliveryMode: 'proxy' })];
+    axios.get.mockResolvedValueOnce(upstream(mediaPlaylist));
+    const proxied = await request(app).get('/hls/ch-1');
+    expect(proxied.status).toBe(200);
+    expect(proxied.text).toContain(`/hls/ch-1/proxy?url=${encodeURIComponent('https://cdn.test/live/seg-1.ts')}`);
+
+    channelManager.channels = [channel({ deliveryMode: 'transmux' })];
+    const ensureTransmuxed = jest.spyOn(channelManager, 'ensureTransmuxed').mockResolvedValue(null);
+    const transmuxed = await request(app).get('/hls/ch-1');
+    expect(ensureTransmuxed).toHaveBeenCalledWith(channelManager.channels[0], 'copy');
+    expect(transmuxed.status).toBe(502);
+    ensureTransmuxed.mockRestore();
+  });
+
+  test('passes the upstream status through for streamed segments', async () => {
+    channelManager.channels = [channel()];
+    axios.get.mockResolvedValueOnce(upstream('missing', 'video/mp2t', 404));
+
+    const response = await request(app).get(`/hls/ch-1/proxy?url=${encodeURIComponent('https://cdn.test/live/gone.ts')}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('passes the upstream status through for buffered error bodies', async () => {
+    channelManager.channels = [channel()];
+    axios.get
+      .mockResolvedValueOnce(upstream('<h1>Not found</h1>', 'text/html', 404))
+      .mockResolvedValueOnce(upstream('<h1>Not found</h1>', 'text/html', 404));
+
+    const segment = await request(app).get(`/hls/ch-1/proxy?url=${encodeURIComponent('https://cdn.test/live/gone.ts')}`);
+    const playlist = await request(app).get(`/hls/ch-1/proxy?url=${encodeURIComponent('https://cdn.test/live/gone.m3u8')}`);
+
+    expect(segment.status).toBe(404);
+    expect(segment.text).toBe('<h1>Not found</h1>');
+    expect(playlist.status).toBe(404);
+  });
+
+  test('answers 503 with Retry-After while the transcoder queue is full', async () => {
+    channelManager.channels = [channel({ deliveryMode: 'transmux' })];
+    const busy = Object.assign(new Error('Transmux queue is full'), { retryAfterSeconds: 20 });
+    const ensureTransmuxed = jest.spyOn(channelManager, 'ensureTransmuxed').mockRejectedValue(busy);
+
+    const response = await request(app).get('/hls/ch-1/local');
+
+    expect(response.status).toBe(503);
+    expect(response.headers['retry-after']).toBe('20');
+    ensureTransmuxed.mockRestore();
+  });
+
+  test('holds lazy tune-ins and answers 503 when resolution times out', async () => {
+    channelManager.lazyResolution = { enabled: true, timeoutSeconds: 1 };
+    channelManager.channels = [channel({ status: 'pending', streamUrl: null })];
+    const requestResolution = jest.spyOn(channelManager, 'requestResolution').mockResolvedValue(null);
+
+    const response = await request(app).get('/hls/ch-1');
+
+    expect(requestResolution).toHaveBeenCalledWith(channelManager.channels[0]);
+    expect(response.status).toBe(503);
+    expect(response.headers['retry-after']).toBe('5');
+    requestResolution.mockRestore();
+  });
+
+  test('serves stitched variant playlists that survive a stream URL change', async () => {
+    const master = '#EXTM3U\n#EXT-X-STREAM-INF:BANDWIDTH=800000\nlow.m3u8\n';
+    channelManager.channels = [channel({ streamUrl: 'https://cdn.test/live/master.m3u8' })];
+    axios.get
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: Buffer.from(master) })
+      .mockResolvedValueOnce({ status: 200, headers: {}, data: Buffer.from(mediaPlaylist) });
+
+    const first = await request(app).get('/hls/ch-1/stitched/0.m3u8');
+    expect(first.status).toBe(200);
+    expect(first.headers['content-type']).toContain('mpegurl');
+    expect(first.text).toContain(encodeURIComponent('https://cdn.test/live/seg-1.ts'));
+
+    // Re-resolving: the client keeps getting the last playlist
+    channelManager.channels[0].streamUrl = null;
+    const during = await request(app).get('/hls/ch-1/stitched/0.m3u8');
+    expect(during.status).toBe(200);
+    const withoutHost = (text) => text.replace(/http:\/\/[^/]+/g, '');
+    expect(withoutHost(during.text)).toBe(withoutHost(first.text));
+
+    expect((await request(app).get('/hls/ch-1/stitched/x.m3u8')).status).toBe(400);
+  });
+
+  test('plays the filler on empty slots and refuses slot mode without one', async () => {
+    channelManager.channels = [];
+    channelManager.slotConfig = { enabled: true, categories: { football: 1 }, fillerUrl: 'https://filler.test/loop.m3u8' };
+    channelManager.slots = [{ id: 'slot-football-1', category: 'football', label: 'Football 1', channelId: null }];
+
+    const empty = await request(app).get('/hls/slot-football-1');
+    expect(empty.status).toBe(302);
+    expect(empty.headers.location).toBe('https://filler.test/loop.m3u8');
+
+    const rejected = await request(app).post('/api/config').send({ slots: { enabled: true, categories: { football: 1 } } });
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.error).toContain('fillerUrl');
+
+    channelManager.slotConfig = { enabled: false };
+    channelManager.slots = [];
+  });
+
+  test('only proxies URLs from stitched playlists while the channel re-resolves', async () => {
+    channelManager.channels = [channel()];
+    axios.get.mockResolvedValueOnce({ status: 200, headers: {}, data: Buffer.from(mediaPlaylist) });
+    expect((await request(app).get('/hls/ch-1/proxy')).status).toBe(200);
+
+    channelManager.channels[0].streamUrl = null;
+    axios.get.mockReset();
+    axios.get.mockResolvedValueOnce(upstream('ts', 'video/mp2t'));
+    const listed = await request(app).get(`/hls/ch-1/proxy?url=${encodeURIComponent('https://cdn.test/live/seg-1.ts')}`);
+    const other = await request(app).get(`/hls/ch-1/proxy?url=${encodeURIComponent('http://169.254.169.254/latest/meta-data')}`);
+
+    expect(listed.status).toBe(200);
+    expect(other.status).toBe(404);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
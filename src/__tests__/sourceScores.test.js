@@ -0,0 +1,69 @@
+const { SourceScoreboard, sourceKey, parseManifestQuality } = require('../sourceScores');
+
+const alpha = { source: 'alpha', embedUrl: 'https://embed.test/alpha/1' };
+const bravo = { source: 'bravo', embedUrl: 'https://embed.test/bravo/1' };
+const charlie = { source: 'charlie', embedUrl: 'https://embed.test/charlie/1' };
+
+describe('sourceKey', () => {
+  test('groups by source name, falling back to the embed host', () => {
+    expect(sourceKey({ source: 'Alpha', embedUrl: 'https://a.test/x' })).toBe('alpha');
+    expect(sourceKey({ embedUrl: 'https://player.test/embed/9' })).toBe('player.test');
+    expect(sourceKey({})).toBe('unknown');
+  });
+});
+
+describe('parseManifestQuality', () => {
+  test('reads the best advertised rendition', () => {
+    const master = [
+      '#EXTM3U',
+      '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360',
+      'low.m3u8',
+      '#EXT-X-STREAM-INF:AVERAGE-BANDWIDTH=4000000,BANDWIDTH=5000000,RESOLUTION=1920x1080',
+      'high.m3u8',
+    ].join('\n');
+
+    expect(parseManifestQuality(master)).toEqual({ bandwidth: 5000000, height: 1080 });
+    expect(parseManifestQuality('#EXTM3U\n#EXTINF:6,\nseg.ts')).toEqual({ bandwidth: null, height: null });
+  });
+});
+
+describe('SourceScoreboard', () => {
+  test('scores unknown sources as null and neutral for ranking', () => {
+    const scores = new SourceScoreboard();
+    expect(scores.getScore(alpha)).toBeNull();
+    expect(scores.rank([alpha, bravo])).toEqual([alpha, bravo]);
+  });
+
+  test('ranks reliable, fast, high quality sources first', () => {
+    const scores = new SourceScoreboard();
+    scores.recordResolution(alpha, false);
+    scores.recordResolution(alpha, false);
+    scores.recordResolution(bravo, true, 5000);
+    scores.recordHealth(bravo, true);
+    scores.recordQuality(bravo, { height: 1080 });
+
+    expect(scores.getScore(bravo)).toBeGreaterThan(80);
+    expect(scores.getScore(alpha)).toBeLessThan(50);
+    expect(scores.rank([alpha, charlie, bravo])).toEqual([bravo, charlie, alpha]);
+  });
+
+  test('lets recent outcomes outweigh old ones', () => {
+    const scores = new SourceScoreboard({ alpha: 0.5 });
+    scores.recordResolution(alpha, true, 1000);
+    const before = scores.getScore(alpha);
+    scores.recordResolution(alpha, false);
+    scores.recordResolution(alpha, false);
+
+    expect(scores.getScore(alpha)).toBeLessThan(before);
+    expect(scores.toJSON().alpha).toEqual(expect.objectContaining({ resolveRate: 0.25, resolveMs: 1000, samples: 3 }));
+  });
+
+  test('round-trips through JSON', () => {
+    const scores = new SourceScoreboard();
+    scores.recordHealth(alpha, false);
+
+    const restored = new SourceScoreboard();
+    restored.load(JSON.parse(JSON.stringify(scores.toJSON())));
+    expect(restored.getScore(alpha)).toBe(scores.getScore(alpha));
+  });
+});
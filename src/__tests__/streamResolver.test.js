@@ -3,6 +3,9 @@
 const {
   isAdUrl,
   isHlsManifestUrl,
+  isDashManifestUrl,
+  detectManifestType,
+  parseStreamExpiry,
   pickCapturedHeaders,
 } = require('../streamResolver');
 
@@ -36,6 +39,52 @@ describe('streamResolver pure helpers', () => {
     });
   });
 
+  describe('detectManifestType', () => {
+    test('recognizes DASH manifests by extension', () => {
+      expect(isDashManifestUrl('https://host/live/stream.mpd')).toBe(true);
+      expect(isDashManifestUrl('https://host/live/stream.mpd?token=abc')).toBe(true);
+      expect(isDashManifestUrl('https://host/live/index.m3u8')).toBe(false);
+      expect(detectManifestType('https://host/live/stream.mpd')).toBe('dash');
+      expect(detectManifestType('https://host/live/index.m3u8')).toBe('hls');
+    });
+
+    test('falls back to the content type for extensionless URLs', () => {
+      expect(detectManifestType('https://host/manifest', 'application/dash+xml')).toBe('dash');
+      expect(detectManifestType('https://host/playlist', 'application/x-mpegURL')).toBe('hls');
+      expect(detectManifestType('https://host/segment', 'video/mp2t')).toBeNull();
+    });
+  });
+
+  describe('parseStreamExpiry', () => {
+    const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+    const inOneHour = Math.floor(now / 1000) + 3600;
+
+    test('reads common expiry query parameters', () => {
+      expect(parseStreamExpiry(`https://cdn.test/a.m3u8?expires=${inOneHour}&sig=x`, {}, now)).toBe(inOneHour * 1000);
+      expect(parseStreamExpiry(`https://cdn.test/a.m3u8?e=${inOneHour}`, {}, now)).toBe(inOneHour * 1000);
+      expect(parseStreamExpiry(`https://cdn.test/a.m3u8?exp=${inOneHour * 1000}`, {}, now)).toBe(inOneHour * 1000);
+    });
+
+    test('reads Akamai tokens, AWS presigned URLs and JWT claims', () => {
+      expect(parseStreamExpiry(`https://cdn.test/a.m3u8?hdnts=st=1~exp=${inOneHour}~acl=/*~hmac=ab`, {}, now)).toBe(inOneHour * 1000);
+      expect(parseStreamExpiry('https://s3.test/a.m3u8?X-Amz-Date=20240101T120000Z&X-Amz-Expires=600', {}, now)).toBe(now + 600000);
+
+      const payload = Buffer.from(JSON.stringify({ exp: inOneHour })).toString('base64url');
+      expect(parseStreamExpiry(`https://cdn.test/eyJhbGciOiJIUzI1NiJ9.${payload}.c2ln/index.m3u8`, {}, now)).toBe(inOneHour * 1000);
+    });
+
+    test('uses explicit expiry headers and picks the earliest hint', () => {
+      const header = new Date(now + 120000).toUTCString();
+      expect(parseStreamExpiry(`https://cdn.test/a.m3u8?expires=${inOneHour}`, { 'x-token-expires': header }, now)).toBe(now + 120000);
+    });
+
+    test('ignores missing or implausible values', () => {
+      expect(parseStreamExpiry('https://cdn.test/a.m3u8?e=abc', {}, now)).toBeNull();
+      expect(parseStreamExpiry('https://cdn.test/a.m3u8?exp=1000000000', {}, now)).toBeNull();
+      expect(parseStreamExpiry('not a url', {}, now)).toBeNull();
+    });
+  });
+
   describe('pickCapturedHeaders', () => {
     test('extracts only the stream-relevant headers', () => {
       const raw = {
@@ -69,7 +118,7 @@ describe('streamResolver pure helpers', () => {
 
 const { StreamResolver } = require('../streamResolver');
 
-function makeFakeChromium({ onM3u8 }) {
+function makeFakeChromium({ onM3u8, streamUrl, responseHeaders = {} }) {
   const listeners = { response: [] };
   const closedThings = [];
 
@@ -86,7 +135,8 @@ function makeFakeChromium({ onM3u8 }) {
   };
 
   const fakeResponse = {
-    url: () => 'https://netanyahu.modifiles.fans/secure/TOKEN/1/2/team/index.m3u8',
+    url: () => streamUrl || 'https://netanyahu.modifiles.fans/secure/TOKEN/1/2/team/index.m3u8',
+    headers: () => responseHeaders,
     request: () => fakeRequest,
   };
 
@@ -145,7 +195,30 @@ describe('StreamResolver.resolve', () => {
       origin: 'https://embedsports.top',
     });
     expect(result.headers.cookie).toBeUndefined();
-    expect(closedThings).toEqual(expect.arrayContaining(['context', 'browser']));
+    // Contexts are per resolution; the pooled browser stays up until closeBrowser()
+    expect(closedThings).toContain('context');
+    expect(closedThings).not.toContain('browser');
+
+    await resolver.closeBrowser();
+    expect(closedThings).toContain('browser');
+  });
+
+  test('captures DASH manifests by URL or content type', async () => {
+    const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+    const byUrl = makeFakeChromium({ onM3u8: 'emit', streamUrl: 'https://cdn.test/live/stream.mpd' });
+    const dash = await new StreamResolver({ logger, chromium: byUrl.chromium }).resolve('https://embed.test/1');
+    expect(dash.streamUrl).toBe('https://cdn.test/live/stream.mpd');
+    expect(dash.contentType).toBe('application/dash+xml');
+
+    const byType = makeFakeChromium({
+      onM3u8: 'emit',
+      streamUrl: 'https://cdn.test/live/manifest',
+      responseHeaders: { 'content-type': 'application/dash+xml' },
+    });
+    const typed = await new StreamResolver({ logger, chromium: byType.chromium }).resolve('https://embed.test/2');
+    expect(typed.streamUrl).toBe('https://cdn.test/live/manifest');
+    expect(typed.contentType).toBe('application/dash+xml');
   });
 
   test('throws STREAM_NOT_DETECTED when timeout elapses with no m3u8', async () => {
@@ -159,6 +232,8 @@ describe('StreamResolver.resolve', () => {
     });
 
     await expect(resolver.resolve('https://embedsports.top/embed/test')).rejects.toThrow(/STREAM_NOT_DETECTED/);
-    expect(closedThings).toEqual(expect.arrayContaining(['context', 'browser']));
+    expect(closedThings).toContain('context');
+    expect(resolver.pool.stats()).toEqual(expect.objectContaining({ browsers: 1, activeContexts: 0 }));
   });
+
 });
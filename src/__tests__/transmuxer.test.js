@@ -0,0 +1,414 @@
+jest.mock('child_process', () => ({ spawn: jest.fn() }));
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const Transmuxer = require('../transmuxer');
+
+const { buildCodecArgs, buildLadderArgs, DEFAULT_PROFILES } = Transmuxer;
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+
+// Fake ffmpeg: writes the manifest it was asked for (the master playlist for ladders)
+// and stays "running" until killed
+function fakeFfmpeg() {
+  spawn.mockImplementation((command, args) => {
+    const child = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.exitCode = null;
+    child.signalCode = null;
+    child.killed = false;
+    child.kill = jest.fn(() => { child.killed = true; });
+    const output = args[args.length - 1];
+    const master = args.indexOf('-master_pl_name');
+    fs.writeFileSync(master === -1 ? output : path.join(path.dirname(output), args[master + 1]), '#EXTM3U\n');
+    return child;
+  });
+}
+
+describe('buildCodecArgs', () => {
+  test('copies both tracks for the copy profile', () => {
+    expect(buildCodecArgs(DEFAULT_PROFILES.copy)).toEqual(['-c:v', 'copy', '-c:a', 'copy']);
+  });
+
+  test('copies non-AAC audio without a bitstream filter', () => {
+    const args = buildCodecArgs({ video: { codec: 'libx264', height: 720 }, audio: { codec: 'copy' } });
+    expect(args).toEqual(expect.arrayContaining(['-c:a', 'copy']));
+    expect(args).not.toContain('-bsf:a');
+  });
+
+  test('scales and re-encodes for h264 profiles', () => {
+    const args = buildCodecArgs(DEFAULT_PROFILES['h264-720p']);
+    expect(args).toEqual(expect.arrayContaining(['-c:v', 'libx264', '-vf', 'scale=-2:720', '-b:v', '3000k', '-bufsize', '6000k']));
+    expect(args).toEqual(expect.arrayContaining(['-c:a', 'aac', '-b:a', '128k', '-ac', '2']));
+    expect(args).not.toContain('aac_adtstoasc');
+  });
+
+  test('drops video for audio-only profiles', () => {
+    expect(buildCodecArgs(DEFAULT_PROFILES['audio-only-aac'])).toEqual(['-vn', '-c:a', 'aac', '-b:a', '128k', '-ac', '2']);
+  });
+});
+
+describe('buildLadderArgs', () => {
+  test('splits the decoded video into one scaled rendition per rung', () => {
+    const args = buildLadderArgs(DEFAULT_PROFILES.abr);
+    expect(args[args.indexOf('-filter_complex') + 1]).toBe(
+      '[0:v]split=3[v0][v1][v2];[v0]scale=-2:1080[v0out];[v1]scale=-2:720[v1out];[v2]scale=-2:480[v2out]',
+    );
+    expect(args).toEqual(expect.arrayContaining(['-map', '[v1out]', '-c:v:1', 'libx264', '-b:v:1', '2800k', '-bufsize:v:1', '5600k']));
+    expect(args).toEqual(expect.arrayContaining(['-map', '0:a:0?', '-c:a:2', 'aac', '-b:a:2', '96k']));
+    expect(args[args.indexOf('-var_stream_map') + 1]).toBe('v:0,a:0,name:1080p v:1,a:1,name:720p v:2,a:2,name:480p');
+  });
+
+  test('leaves audio out of the renditions for silent inputs', () => {
+    const args = buildLadderArgs(DEFAULT_PROFILES.abr, { audio: false });
+    expect(args).not.toContain('0:a:0?');
+    expect(args[args.indexOf('-var_stream_map') + 1]).toBe('v:0,name:1080p v:1,name:720p v:2,name:480p');
+  });
+});
+
+describe('Transmuxer profiles', () => {
+  let transmuxer;
+
+  beforeEach(() => {
+    spawn.mockReset();
+    fakeFfmpeg();
+    transmuxer = new Transmuxer({
+      logger,
+      profiles: { 'h264-540p': { video: { codec: 'libx264', height: 540 }, audio: { codec: 'aac' } } },
+    });
+  });
+
+  afterEach(async () => {
+    await Promise.all([...transmuxer.jobs.values()].map((job) => transmuxer.cleanupJob(job.channelId, job.profile)));
+  });
+
+  test('merges configured profiles with the built-in ones', () => {
+    expect(transmuxer.getProfileNames()).toEqual(expect.arrayContaining(['copy', 'h264-720p', 'low-bandwidth', 'h264-540p']));
+    expect(transmuxer.hasProfile('h265-4k')).toBe(false);
+  });
+
+  test('shares one job per channel and profile', async () => {
+    const copy = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8', {}, 'copy');
+    const again = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8', {}, 'copy');
+    const scaled = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8', {}, 'h264-540p');
+
+    expect(again).toBe(copy);
+    expect(scaled).not.toBe(copy);
+    expect(spawn).toHaveBeenCalledTimes(2);
+    expect(spawn.mock.calls[1][1]).toEqual(expect.arrayContaining(['-vf', 'scale=-2:540']));
+    expect(transmuxer.getJob('ch-1', 'h264-540p')).toBe(scaled);
+  });
+
+  test('writes a master playlist and per-rung playlists for ladder profiles', async () => {
+    const job = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8', {}, 'abr');
+    const args = spawn.mock.calls[0][1];
+
+    expect(job.manifestPath).toBe(path.join(job.workDir, 'master.m3u8'));
+    expect(args).toEqual(expect.arrayContaining(['-master_pl_name', 'master.m3u8']));
+    expect(args[args.indexOf('-hls_segment_filename') + 1]).toBe(path.join(job.workDir, 'stream_%v_%03d.ts'));
+    expect(args[args.length - 1]).toBe(path.join(job.workDir, 'stream_%v.m3u8'));
+  });
+
+  test('restarts a ladder without audio when the input has none', async () => {
+    spawn.mockImplementationOnce(() => {
+      const child = new EventEmitter();
+      child.stderr = new EventEmitter();
+      child.exitCode = null;
+      child.kill = jest.fn();
+      setImmediate(() => {
+        child.stderr.emit('data', Buffer.from('[hls @ 0x1] Unable to map stream at a:0\n'));
+        child.exitCode = 1;
+        child.emit('exit', 1, null);
+      });
+      return child;
+    });
+
+    const job = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8', {}, 'abr');
+    const args = spawn.mock.calls[1][1];
+
+    expect(spawn).toHaveBeenCalledTimes(2);
+    expect(job.hasAudio).toBe(false);
+    expect(args[args.indexOf('-var_stream_map') + 1]).toBe('v:0,name:1080p v:1,name:720p v:2,name:480p');
+  });
+
+  test('rejects unknown profiles', async () => {
+    await expect(transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8', {}, 'h265-4k')).rejects.toThrow('Unknown transcoding profile');
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  test('cleans up every profile of a channel', async () => {
+    const copy = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8', {}, 'copy');
+    const scaled = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8', {}, 'h264-540p');
+    await transmuxer.ensureJob('ch-2', 'https://s.test/b.m3u8', {}, 'copy');
+
+    await transmuxer.cleanupChannel('ch-1');
+
+    expect(copy.process.kill).toHaveBeenCalled();
+    expect(scaled.process.kill).toHaveBeenCalled();
+    expect(fs.existsSync(copy.workDir)).toBe(false);
+    expect([...transmuxer.jobs.keys()]).toEqual(['ch-2:copy']);
+  });
+});
+
+describe('Transmuxer supervision', () => {
+  let transmuxer;
+  let refreshInput;
+
+  // Kills the job's ffmpeg and waits for the supervisor to spawn its replacement
+  async function restartAfterExit(job, code = 1) {
+    jest.useFakeTimers();
+    job.process.emit('exit', code, null);
+    jest.advanceTimersByTime(1000);
+    jest.useRealTimers();
+    const calls = spawn.mock.calls.length;
+    for (let i = 0; i < 50 && spawn.mock.calls.length === calls; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    }
+  }
+
+  beforeEach(() => {
+    spawn.mockReset();
+    fakeFfmpeg();
+    refreshInput = jest.fn().mockResolvedValue(null);
+    transmuxer = new Transmuxer({ logger, refreshInput });
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await Promise.all([...transmuxer.jobs.values()].map((job) => transmuxer.cleanupJob(job.channelId, job.profile)));
+  });
+
+  test('restarts a dead ffmpeg after a backoff and keeps the segment numbering', async () => {
+    const job = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8');
+    fs.writeFileSync(job.manifestPath, '#EXTM3U\n#EXT-X-MEDIA-SEQUENCE:0\n' + [0, 1, 2, 3].map((n) => `#EXTINF:6,\nsegment_00${n}.ts`).join('\n'));
+
+    await restartAfterExit(job);
+
+    expect(spawn).toHaveBeenCalledTimes(2);
+    const args = spawn.mock.calls[1][1];
+    expect(args[args.indexOf('-start_number') + 1]).toBe('4');
+    expect(args[args.indexOf('-hls_flags') + 1]).toContain('discont_start');
+    expect(refreshInput).toHaveBeenCalledWith(job, { forbidden: false });
+    expect(job.restarts).toEqual([expect.objectContaining({ reason: 'exited', code: 1, startNumber: 4, inputChanged: false })]);
+    expect(transmuxer.getJobStats()).toEqual([expect.objectContaining({ channelId: 'ch-1', status: 'running' })]);
+  });
+
+  test('asks for a fresh input when ffmpeg reports a 403', async () => {
+    refreshInput.mockResolvedValue({ inputUrl: 'https://s.test/fresh.m3u8', headers: { Referer: 'https://e.test/' } });
+    const job = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8');
+    job.process.stderr.emit('data', Buffer.from('[https @ 0x1] HTTP error 403 Forbidden'));
+
+    await restartAfterExit(job);
+
+    expect(refreshInput).toHaveBeenCalledWith(job, { forbidden: true });
+    const args = spawn.mock.calls[1][1];
+    expect(args[args.indexOf('-i') + 1]).toBe('https://s.test/fresh.m3u8');
+    expect(args[args.indexOf('-headers') + 1]).toBe('Referer: https://e.test/');
+    expect(job.restarts[0]).toMatchObject({ reason: 'input rejected', inputChanged: true });
+  });
+
+  test('restarts a job whose playlist stops advancing', async () => {
+    const job = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8');
+    const now = Date.now();
+
+    await transmuxer.checkProgress(job, now);
+    await transmuxer.checkProgress(job, now + 29000);
+    expect(job.restartTimer).toBeNull();
+
+    const stalled = job.process;
+    await transmuxer.checkProgress(job, now + 31000);
+    expect(stalled.kill).toHaveBeenCalled();
+    expect(job.process).toBeNull();
+    expect(job.restartTimer).not.toBeNull();
+  });
+
+  test('gives up after too many restarts in a row', async () => {
+    const job = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8');
+    job.restartAttempts = 5;
+
+    transmuxer.scheduleRestart(job, { reason: 'exited', code: 1 });
+
+    expect(job.failed).toBe(true);
+    expect(job.restartTimer).toBeNull();
+    expect(job.restarts[0]).toMatchObject({ reason: 'exited', gaveUp: true });
+    expect(transmuxer.isJobStale(job)).toBe(true);
+    expect(transmuxer.getJobStats()[0].status).toBe('failed');
+  });
+});
+
+describe('Transmuxer admission', () => {
+  let transmuxer;
+
+  function startJobs(ids) {
+    return Promise.all(ids.map((id) => transmuxer.ensureJob(id, `https://s.test/${id}.m3u8`)));
+  }
+
+  beforeEach(() => {
+    spawn.mockReset();
+    fakeFfmpeg();
+    transmuxer = new Transmuxer({ logger });
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    transmuxer.queue.forEach((waiter) => clearTimeout(waiter.timer));
+    transmuxer.queue = [];
+    await Promise.all([...transmuxer.jobs.values()].map((job) => transmuxer.cleanupJob(job.channelId, job.profile)));
+  });
+
+  test('queues starts beyond the limit and admits the most-watched channel first', async () => {
+    await startJobs(['ch-1', 'ch-2', 'ch-3']);
+
+    const unwatched = transmuxer.ensureJob('ch-4', 'https://s.test/ch-4.m3u8', {}, 'copy', { priority: 0 });
+    const watched = transmuxer.ensureJob('ch-5', 'https://s.test/ch-5.m3u8', {}, 'copy', { priority: 2 });
+    const sameChannel = transmuxer.ensureJob('ch-5', 'https://s.test/ch-5.m3u8');
+    expect(transmuxer.getAdmissionStats()).toMatchObject({ active: 3, max: 3, queued: 2 });
+
+    await transmuxer.cleanupJob('ch-1');
+    await expect(watched).resolves.toMatchObject({ channelId: 'ch-5' });
+    await expect(sameChannel).resolves.toBe(await watched);
+    expect(transmuxer.getAdmissionStats()).toMatchObject({ active: 3, queued: 1 });
+
+    await transmuxer.cleanupJob('ch-2');
+    await expect(unwatched).resolves.toMatchObject({ channelId: 'ch-4' });
+  });
+
+  test('evicts the least recently accessed idle job to make room', async () => {
+    const [first, second, third] = await startJobs(['ch-1', 'ch-2', 'ch-3']);
+    first.lastAccessed = Date.now() - 60000;
+    second.lastAccessed = Date.now() - 120000;
+
+    const job = await transmuxer.ensureJob('ch-4', 'https://s.test/ch-4.m3u8');
+
+    expect(job.channelId).toBe('ch-4');
+    expect(second.process.kill).toHaveBeenCalled();
+    expect([...transmuxer.jobs.values()]).toEqual(expect.arrayContaining([first, third, job]));
+    expect(transmuxer.jobs.size).toBe(3);
+  });
+
+  test('rejects with a retry hint when the queue is full or the wait times out', async () => {
+    await startJobs(['ch-1', 'ch-2', 'ch-3']);
+    jest.useFakeTimers();
+
+    const queued = Array.from({ length: 10 }, (_, i) => transmuxer.ensureJob(`q-${i}`, 'https://s.test/q.m3u8'));
+    await expect(transmuxer.ensureJob('late', 'https://s.test/late.m3u8')).rejects.toMatchObject({
+      message: 'Transmux queue is full',
+      retryAfterSeconds: 20,
+    });
+
+    jest.advanceTimersByTime(20000);
+    const results = await Promise.allSettled(queued);
+    expect(results.every((result) => result.status === 'rejected' && result.reason.retryAfterSeconds === 6)).toBe(true);
+    expect(transmuxer.getAdmissionStats().queued).toBe(0);
+    expect(spawn).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('Transmuxer reaper', () => {
+  let transmuxer;
+
+  beforeEach(() => {
+    spawn.mockReset();
+    fakeFfmpeg();
+    transmuxer = new Transmuxer({ logger, diskQuotaBytes: 0 });
+  });
+
+  afterEach(async () => {
+    transmuxer.stopReaper();
+    await Promise.all([...transmuxer.jobs.values()].map((job) => transmuxer.cleanupJob(job.channelId, job.profile)));
+  });
+
+  test('stops jobs without requests for the idle window and failed jobs', async () => {
+    const idle = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8');
+    const failed = await transmuxer.ensureJob('ch-2', 'https://s.test/b.m3u8');
+    const watched = await transmuxer.ensureJob('ch-3', 'https://s.test/c.m3u8');
+    idle.lastAccessed = Date.now() - 121000;
+    failed.failed = true;
+
+    await transmuxer.reap();
+
+    expect(idle.process.kill).toHaveBeenCalled();
+    expect(fs.existsSync(idle.workDir)).toBe(false);
+    expect(fs.existsSync(failed.workDir)).toBe(false);
+    expect([...transmuxer.jobs.values()]).toEqual([watched]);
+    expect(watched.diskBytes).toBeGreaterThan(0);
+  });
+
+  test('keeps a job alive while its segments are requested', async () => {
+    const job = await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8');
+    job.lastAccessed = Date.now() - 121000;
+
+    transmuxer.touchJob(job);
+    await transmuxer.reap();
+
+    expect(transmuxer.getJob('ch-1')).toBe(job);
+  });
+
+  test('deletes segments that leave the playlist so work dirs stay bounded', async () => {
+    await transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8');
+    const args = spawn.mock.calls[0][1];
+
+    expect(args[args.indexOf('-hls_flags') + 1]).toMatch(/^delete_segments\+/);
+    expect(args).not.toContain('-hls_playlist_type');
+  });
+
+  test('stops the least recently used jobs until the work dirs fit the quota', async () => {
+    const [older, oldest, newest] = await Promise.all(
+      ['ch-1', 'ch-2', 'ch-3'].map((id) => transmuxer.ensureJob(id, `https://s.test/${id}.m3u8`)),
+    );
+    [older, oldest, newest].forEach((job) => fs.writeFileSync(path.join(job.workDir, 'segment_000.ts'), Buffer.alloc(1000)));
+    older.lastAccessed = Date.now() - 20000;
+    oldest.lastAccessed = Date.now() - 40000;
+    transmuxer.diskQuotaBytes = 2100;
+
+    await transmuxer.reap();
+
+    expect([...transmuxer.jobs.values()]).toEqual(expect.arrayContaining([older, newest]));
+    expect(transmuxer.jobs.size).toBe(2);
+    expect(fs.existsSync(oldest.workDir)).toBe(false);
+  });
+
+  test('leaves the work dir of a job that is still starting alone', async () => {
+    // Jobs and the cleanup both use a private temp dir, never the machine's shared one
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reaper-'));
+    const tmpdir = jest.spyOn(os, 'tmpdir').mockReturnValue(tmpDir);
+    let writeManifest;
+    spawn.mockImplementationOnce((command, args) => {
+      const child = new EventEmitter();
+      child.stderr = new EventEmitter();
+      child.exitCode = null;
+      child.kill = jest.fn(() => { child.killed = true; });
+      writeManifest = () => fs.writeFileSync(args[args.length - 1], '#EXTM3U\n');
+      return child;
+    });
+
+    const starting = transmuxer.ensureJob('ch-1', 'https://s.test/a.m3u8');
+    while (!writeManifest) await new Promise((resolve) => setTimeout(resolve, 5));
+    const [workDir] = transmuxer.startingDirs;
+
+    expect(path.dirname(workDir)).toBe(tmpDir);
+    await transmuxer.removeOrphanedDirs(tmpDir);
+    expect(fs.existsSync(workDir)).toBe(true);
+
+    writeManifest();
+    await expect(starting).resolves.toMatchObject({ workDir });
+    expect(transmuxer.startingDirs.size).toBe(0);
+    tmpdir.mockRestore();
+    await transmuxer.cleanupJob('ch-1');
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('removes work dirs left behind by a previous run', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reaper-'));
+    fs.mkdirSync(path.join(tmpDir, 'transmux-old1'));
+    fs.writeFileSync(path.join(tmpDir, 'transmux-old1', 'index.m3u8'), '#EXTM3U\n');
+    fs.mkdirSync(path.join(tmpDir, 'unrelated'));
+
+    await expect(transmuxer.removeOrphanedDirs(tmpDir)).resolves.toBe(1);
+
+    expect(fs.readdirSync(tmpDir)).toEqual(['unrelated']);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+const DEFAULT_POOL_SIZE = 1;
+const DEFAULT_CONTEXTS_PER_BROWSER = 2;
+const DEFAULT_MAX_USES = 50;
+
+// Keeps a small set of long-lived Chromium processes and hands out a fresh, isolated
+// context per job. Browsers are recycled after maxUses leases and replaced when they
+// crash or disconnect, so a single bad page can't wedge resolution for good.
+class BrowserPool {
+  constructor({
+    chromium,
+    launchOptions = {},
+    size = parseInt(process.env.BROWSER_POOL_SIZE, 10) || DEFAULT_POOL_SIZE,
+    contextsPerBrowser = parseInt(process.env.BROWSER_POOL_CONTEXTS_PER_BROWSER, 10) || DEFAULT_CONTEXTS_PER_BROWSER,
+    maxUses = parseInt(process.env.BROWSER_POOL_MAX_USES, 10) || DEFAULT_MAX_USES,
+    logger,
+  } = {}) {
+    this.chromium = chromium;
+    this.launchOptions = launchOptions;
+    this.size = size;
+    this.contextsPerBrowser = contextsPerBrowser;
+    this.maxUses = maxUses;
+    this.logger = logger;
+    this.entries = [];
+    this.waiters = [];
+    this.nextId = 1;
+    this.closed = false;
+    this.counters = { launched: 0, recycled: 0, crashed: 0, leases: 0 };
+  }
+
+  async acquire() {
+    if (this.closed) throw new Error('Browser pool is closed');
+
+    let entry = this.entries
+      .filter((candidate) => !candidate.retiring && candidate.active < this.contextsPerBrowser)
+      .sort((a, b) => a.active - b.active)[0];
+
+    if (!entry && this.entries.length < this.size) {
+      entry = this._launch();
+    }
+
+    if (!entry) {
+      // Everything is busy; wait for a release and try again
+      await new Promise((resolve) => this.waiters.push(resolve));
+      return this.acquire();
+    }
+
+    // Reserve the slot before awaiting so concurrent callers don't oversubscribe a launching browser
+    entry.active += 1;
+    entry.uses += 1;
+    this.counters.leases += 1;
+    if (entry.uses >= this.maxUses) entry.retiring = true;
+
+    let browser;
+    try {
+      browser = await entry.ready;
+    } catch (error) {
+      entry.active -= 1;
+      this._wake();
+      throw error;
+    }
+
+    // The browser may have died while we were waiting on it
+    if (!this.entries.includes(entry) || (browser.isConnected && !browser.isConnected())) {
+      entry.active -= 1;
+      this._onDisconnected(entry);
+      return this.acquire();
+    }
+
+    return this._lease(entry, browser);
+  }
+
+  async withContext(contextOptions, fn) {
+    const lease = await this.acquire();
+    let context;
+    try {
+      context = await lease.browser.newContext(contextOptions);
+      return await fn(context);
+    } finally {
+      if (context) {
+        try { await context.close(); } catch (err) { this.logger?.warn('context close failed', { error: err.message }); }
+      }
+      lease.release();
+    }
+  }
+
+  _launch() {
+    const entry = { id: this.nextId, browser: null, active: 0, uses: 0, retiring: false };
+    this.nextId += 1;
+    this.entries.push(entry);
+
+    entry.ready = (async () => {
+      try {
+        const browser = await this.chromium.launch(this.launchOptions);
+        entry.browser = browser;
+        this.counters.launched += 1;
+        browser.on?.('disconnected', () => this._onDisconnected(entry));
+        this.logger?.info('Launched pooled browser', { browserId: entry.id, poolSize: this.entries.length });
+        return browser;
+      } catch (error) {
+        this._remove(entry);
+        throw error;
+      }
+    })();
+    // Avoid unhandled rejections when nobody is awaiting this launch yet
+    entry.ready.catch(() => {});
+
+    return entry;
+  }
+
+  _lease(entry, browser) {
+    let released = false;
+    return {
+      browser,
+      release: () => {
+        if (released) return;
+        released = true;
+        entry.active -= 1;
+        if (entry.retiring && entry.active === 0 && this.entries.includes(entry)) {
+          this.counters.recycled += 1;
+          this.logger?.info('Recycling pooled browser', { browserId: entry.id, uses: entry.uses });
+          this._closeEntry(entry);
+        }
+        this._wake();
+      },
+    };
+  }
+
+  _onDisconnected(entry) {
+    if (!this.entries.includes(entry) || entry.closing) return;
+    this.counters.crashed += 1;
+    this.logger?.warn('Pooled browser disconnected', { browserId: entry.id, active: entry.active });
+    this._remove(entry);
+    this._wake();
+  }
+
+  _closeEntry(entry) {
+    entry.closing = true;
+    this._remove(entry);
+    return entry.browser?.close().catch((err) => {
+      this.logger?.warn('browser close failed', { browserId: entry.id, error: err.message });
+    });
+  }
+
+  _remove(entry) {
+    this.entries = this.entries.filter((candidate) => candidate !== entry);
+  }
+
+  _wake() {
+    const waiter = this.waiters.shift();
+    if (waiter) waiter();
+  }
+
+  stats() {
+    return {
+      ...this.counters,
+      size: this.size,
+      browsers: this.entries.length,
+      activeContexts: this.entries.reduce((sum, entry) => sum + entry.active, 0),
+      waiting: this.waiters.length,
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    const entries = [...this.entries];
+    await Promise.all(entries.map(async (entry) => {
+      try {
+        await entry.ready;
+      } catch (error) {
+        return;
+      }
+      await this._closeEntry(entry);
+    }));
+    // Wake anyone still queued so they fail fast on the closed pool
+    this.waiters.splice(0).forEach((waiter) => waiter());
+  }
+}
+
+module.exports = { BrowserPool };
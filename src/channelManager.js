@@ -6,15 +6,101 @@ const axios = require('axios');
 const crypto = require('crypto');
 const https = require('https');
 const { createProgrammeFromEvent, buildDefaultStreamHeaders } = require('./scraper');
-const { StreamResolver } = require('./streamResolver');
+const { StreamResolver, parseStreamExpiry } = require('./streamResolver');
+const { guessMimeTypeFromUrl } = require('./embedResolver');
 const Transmuxer = require('./transmuxer');
+const { HlsStitcher, parseMediaPlaylist, parseVariantQuality } = require('./hlsStitcher');
 const { createSolverClientFromEnv } = require('./solverClient');
+const { ChannelNumberAllocator } = require('./channelNumbers');
+const { SourceScoreboard, parseManifestQuality } = require('./sourceScores');
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
 const MAX_COOKIES_PER_CHANNEL = 50;
 
+// How /hls/:id hands a stream to clients:
+// - redirect: 302 to the upstream URL (cheapest, but leaks CDN tokens and needs client-side headers)
+// - proxy: manifests, keys and segments flow through /hls/:id/proxy with our headers and cookie jar
+// - transmux: ffmpeg remuxes the upstream into local HLS served from /hls/:id/local
+const DELIVERY_MODES = ['redirect', 'proxy', 'transmux'];
+
+// Which master playlist variants proxied clients see: all of them, or only the highest
+// or lowest, optionally capped by maxHeight / maxBandwidth first
+const QUALITY_MODES = ['all', 'highest', 'lowest'];
+
+// Accepts a policy object or a shorthand string ('highest', 'lowest', 'all', '720p', '3000k')
+function normalizeQualityPolicy(policy) {
+  if (policy === null || policy === undefined) return null;
+
+  let value = policy;
+  if (typeof value === 'string') {
+    const shorthand = value.trim().toLowerCase();
+    const height = shorthand.match(/^(\d+)p$/);
+    const kbps = shorthand.match(/^(\d+)k$/);
+    if (height) value = { maxHeight: Number(height[1]) };
+    else if (kbps) value = { maxBandwidth: Number(kbps[1]) * 1000 };
+    else value = { mode: shorthand };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Quality policy must be an object or a shorthand string');
+  }
+
+  const normalized = { mode: value.mode || 'all', maxHeight: null, maxBandwidth: null };
+  if (!QUALITY_MODES.includes(normalized.mode)) {
+    throw new Error(`Unknown quality mode: ${normalized.mode}`);
+  }
+  ['maxHeight', 'maxBandwidth'].forEach((field) => {
+    if (value[field] === null || value[field] === undefined) return;
+    const limit = Number(value[field]);
+    if (!Number.isFinite(limit) || limit <= 0) throw new Error(`${field} must be a positive number`);
+    normalized[field] = limit;
+  });
+  return normalized;
+}
+
+// Drops EXT-X-STREAM-INF variants (tag and URI line) that the policy excludes. A cap
+// that nothing satisfies keeps the lowest variant so clients always get something.
+function filterVariants(manifestBody, policy) {
+  if (!policy || (policy.mode === 'all' && !policy.maxHeight && !policy.maxBandwidth)) return manifestBody;
+
+  const lines = manifestBody.split(/\r?\n/);
+  const variants = [];
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('#EXT-X-STREAM-INF:')) {
+      variants.push({ lines: [index], ...parseVariantQuality(trimmed.slice('#EXT-X-STREAM-INF:'.length)) });
+    } else if (trimmed && !trimmed.startsWith('#') && variants.length && variants[variants.length - 1].lines.length === 1) {
+      variants[variants.length - 1].lines.push(index);
+    }
+  });
+  if (variants.length < 2) return manifestBody;
+
+  // Unknown heights/bandwidths pass the caps rather than hiding variants we can't judge
+  const byQuality = (a, b) => (a.height || 0) - (b.height || 0) || (a.bandwidth || 0) - (b.bandwidth || 0);
+  let kept = variants.filter((variant) => (
+    (!policy.maxHeight || !variant.height || variant.height <= policy.maxHeight)
+    && (!policy.maxBandwidth || !variant.bandwidth || variant.bandwidth <= policy.maxBandwidth)
+  ));
+  if (!kept.length) kept = [variants.slice().sort(byQuality)[0]];
+  if (policy.mode === 'highest') kept = [kept.slice().sort(byQuality).pop()];
+  if (policy.mode === 'lowest') kept = [kept.slice().sort(byQuality)[0]];
+
+  const dropped = new Set(
+    variants.filter((variant) => !kept.includes(variant)).flatMap((variant) => variant.lines)
+  );
+  return lines.filter((line, index) => !dropped.has(index)).join('\n');
+}
+
+// Manifest tags whose URI="..." attribute must be routed through the proxy too
+const URI_ATTRIBUTE_TAGS = [
+  '#EXT-X-KEY',
+  '#EXT-X-SESSION-KEY',
+  '#EXT-X-MAP',
+  '#EXT-X-MEDIA',
+  '#EXT-X-I-FRAME-STREAM-INF',
+];
+
 // SSL verification configuration
 // WARNING: Disabling SSL verification exposes you to MITM attacks
 // Default: disabled unless explicitly re-enabled via DISABLE_SSL_VERIFICATION=false
@@ -39,6 +125,18 @@ class ChannelManager {
     logger,
     frontPageUrl,
     timezoneName = 'UTC',
+    store = null,
+    channelNumbering = {},
+    slots = {},
+    programmeDurations = {},
+    resolveLeadMinutes = 10,
+    deliveryMode = 'proxy',
+    resolutionConcurrency = parseInt(process.env.RESOLUTION_CONCURRENCY) || 2,
+    resolutionPerHostConcurrency = parseInt(process.env.RESOLUTION_PER_HOST_CONCURRENCY) || 1,
+    lazyResolution = {},
+    qualityPolicy = null,
+    transcodeProfile = 'copy',
+    transcodingProfiles = {},
   }) {
     this.channels = [];
     this.programmes = [];
@@ -47,11 +145,127 @@ class ChannelManager {
     this.frontPageUrl = frontPageUrl;
     this.timezone = timezoneName;
     this.streamResolver = new StreamResolver({ logger });
-    this.transmuxer = new Transmuxer({ logger });
+    this.transmuxer = new Transmuxer({
+      logger,
+      profiles: transcodingProfiles,
+      refreshInput: (job, options) => this.refreshTransmuxInput(job, options),
+    });
+    this.transcodeProfile = this.transmuxer.hasProfile(transcodeProfile) ? transcodeProfile : 'copy';
+    this.hlsStitcher = new HlsStitcher({ logger });
+    // Proxy clients get stable stitched playlists that survive stream URL changes
+    this.stitching = process.env.HLS_STITCHING !== 'false';
     this.solverClient = createSolverClientFromEnv(logger);
+    this.store = store;
+    this.numberAllocator = new ChannelNumberAllocator({ ...channelNumbering, logger });
+    this.slotConfig = slots;
+    this.programmeDurations = programmeDurations;
+    this.resolveLeadMinutes = resolveLeadMinutes;
+    this.deliveryMode = DELIVERY_MODES.includes(deliveryMode) ? deliveryMode : 'proxy';
+    this.slots = [];
+    try {
+      this.qualityPolicy = normalizeQualityPolicy(qualityPolicy) || normalizeQualityPolicy('all');
+    } catch (error) {
+      logger?.warn('Ignoring invalid quality policy', { qualityPolicy, error: error.message });
+      this.qualityPolicy = normalizeQualityPolicy('all');
+    }
+    this.resolutionConcurrency = Math.max(1, resolutionConcurrency);
+    this.resolutionPerHostConcurrency = Math.max(1, resolutionPerHostConcurrency);
+    // channelId -> { channel, host, startedAt, promise } for resolutions currently running
+    this.resolving = new Map();
+    this._wakeResolutionLoop = null;
+    this.lazyResolution = { enabled: false, timeoutSeconds: 30, ...lazyResolution };
+    // Channels a client is waiting on; they jump the queue and ignore failure backoff
+    this.priorityIds = new Set();
+    this.resolutionWaiters = new Map();
+    // channelId -> Map(clientKey -> lastSeen ms); a client counts as watching until it goes idle
+    this.viewers = new Map();
+    this.viewerIdleMs = (parseInt(process.env.VIEWER_IDLE_TIMEOUT_SECONDS) || 60) * 1000;
+    this.healthCheckedAt = new Map();
+    // channelId -> { errors, sequences, lastFailoverAt }, fed by what proxied viewers are getting
+    this.playback = new Map();
+    // channelId -> stream pre-resolved from the next source option, swapped in on failover
+    this.standbys = new Map();
+    this.warmStandby = process.env.WARM_STANDBY !== 'false';
+    this.sourceScores = new SourceScoreboard({ logger });
     this.running = true;
   }
 
+  serializeState() {
+    return {
+      savedAt: new Date().toISOString(),
+      channels: this.channels,
+      programmes: this.programmes,
+      channelNumbers: this.numberAllocator.toJSON(),
+      slots: this.slots,
+      sourceScores: this.sourceScores.toJSON(),
+    };
+  }
+
+  async persist() {
+    if (!this.store) return;
+    try {
+      await this.store.save(this.serializeState());
+    } catch (error) {
+      this.logger?.warn('Failed to persist channel state', { error: error.message });
+    }
+  }
+
+  async restore() {
+    if (!this.store) return 0;
+
+    const snapshot = await this.store.load();
+    // Source scores outlive any one set of channels
+    this.sourceScores.load(snapshot?.sourceScores);
+    if (!snapshot?.channels?.length) return 0;
+
+    const now = Date.now();
+    const ttlMs = (parseInt(process.env.STREAM_URL_TTL_MINUTES) || 10) * 60 * 1000;
+    let reusable = 0;
+
+    const channels = snapshot.channels
+      .filter((channel) => channel?.id && !(channel.expiresAt && dayjs(channel.expiresAt).isBefore(now)))
+      .map((channel) => {
+        const streamStillValid = channel.streamUrl && channel.resolvedAt && (
+          channel.streamExpiresAt ? now < channel.streamExpiresAt : now - channel.resolvedAt < ttlMs
+        );
+        if (streamStillValid && (channel.status === 'healthy' || channel.status === 'resolved')) {
+          reusable += 1;
+          return channel;
+        }
+
+        // Anything we can't serve immediately goes back through the resolution loop;
+        // upcoming events stay scheduled until their lead window opens
+        return {
+          ...channel,
+          status: channel.status === 'dead' || channel.status === 'scheduled' ? channel.status : 'pending',
+          streamUrl: null,
+          streamExpiresAt: null,
+          resolvedAt: null,
+          nextRetryAt: null,
+        };
+      });
+
+    const ids = new Set(channels.map((channel) => channel.id));
+    this.numberAllocator.load(snapshot.channelNumbers);
+    this.channels = channels;
+    this.slots = (snapshot.slots || []).map((slot) => ({
+      ...slot,
+      channelId: slot.channelId && ids.has(slot.channelId) ? slot.channelId : null,
+    }));
+    this.programmes = (snapshot.programmes || [])
+      .filter((programme) => ids.has(programme.channelId))
+      .map((programme) => ({ ...programme, start: new Date(programme.start), stop: new Date(programme.stop) }));
+
+    this.logger?.info('Restored persisted channel state', {
+      savedAt: snapshot.savedAt,
+      channels: channels.length,
+      reusableStreams: reusable,
+      dropped: snapshot.channels.length - channels.length,
+    });
+
+    return channels.length;
+  }
+
   async buildChannels(events, selectedCategories = []) {
     const filtered = selectedCategories.length
       ? events.filter((event) => selectedCategories.includes(event.category))
@@ -74,12 +288,18 @@ class ChannelManager {
     let added = 0;
     let updated = 0;
 
+    const seenIds = new Set();
     filtered.forEach((event) => {
-      const id = this.generateChannelId(event);
+      let id = this.generateChannelId(event);
+      if (seenIds.has(id)) {
+        // Two distinct events share a title and start time; fall back to the embed to tell them apart
+        id = this.generateChannelId(event, { includeEmbed: true });
+      }
+      seenIds.add(id);
       const existing = existingChannels.get(id);
-      const channel = this.createOrUpdateChannel(id, event, existing, expiresAt);
+      const channel = this.createOrUpdateChannel(id, this.rankEventSources(event, existing), existing, expiresAt);
       channels.push(channel);
-      programmes.push(createProgrammeFromEvent(event, id, this.lifetimeHours, this.timezone));
+      programmes.push(createProgrammeFromEvent(event, id, this.lifetimeHours, this.timezone, this.programmeDurations));
       if (existing) {
         updated += 1;
       } else {
@@ -96,9 +316,15 @@ class ChannelManager {
 
     this.channels = channels;
     this.programmes = programmes;
+    this.assignNumbers();
     const removedIds = removedChannels.map((channel) => channel.id);
     this.cleanupTransmuxJobs(removedIds);
     this.cleanupRestreamJobs(removedIds);
+    removedIds.forEach((id) => {
+      this.hlsStitcher.drop(id);
+      this.playback.delete(id);
+      this.standbys.delete(id);
+    });
 
     this.logger?.info('Reconciling channels', {
       selectedCategories,
@@ -110,11 +336,36 @@ class ChannelManager {
       this.logger?.warn('No channels were created from events', { selectedCategories });
     }
 
+    await this.persist();
     return this.channels;
   }
 
-  generateChannelId(event) {
-    const key = `${event.title || ''}|${event.startTime || event.start || ''}|${event.embedUrl || ''}`;
+  assignNumbers() {
+    if (this.slotsEnabled()) {
+      // In slot mode the slots carry the numbers; events move through them
+      const slotKeys = Object.keys(this.numberAllocator.toJSON()).filter((key) => key.startsWith('slot-'));
+      this.numberAllocator.retain(slotKeys);
+      this.assignSlots();
+      this.numberAllocator.retain(this.slots.map((slot) => slot.id));
+      this.channels.forEach((channel) => {
+        channel.number = null;
+      });
+      return;
+    }
+
+    // Free numbers of removed channels first so new channels can reuse them
+    this.numberAllocator.retain(this.channels.map((channel) => channel.id));
+    this.channels.forEach((channel) => {
+      channel.number = this.numberAllocator.assign(channel.id, channel.category);
+    });
+  }
+
+  generateChannelId(event, { includeEmbed = false } = {}) {
+    // The embed URL rotates between scrapes, so it is only part of the key when needed for uniqueness
+    const start = event.startTime || event.start || '';
+    const key = includeEmbed
+      ? `${event.title || ''}|${start}|${event.embedUrl || ''}`
+      : `${event.title || ''}|${start}|${event.category || ''}`;
     const hash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
     return `ch-${hash}`;
   }
@@ -126,24 +377,37 @@ class ChannelManager {
       (embedUrlChanged ? buildDefaultStreamHeaders(event.embedUrl) : existing?.requestHeaders || buildDefaultStreamHeaders(event.embedUrl));
 
     // Reset dead channels to pending on event refresh
-    const preserveStatus = existing?.status && existing.status !== 'dead';
-    const status = embedUrlChanged ? 'pending' : (preserveStatus ? existing.status : 'pending');
+    const preserveStatus = existing?.status && existing.status !== 'dead' && existing.status !== 'scheduled';
+    let status = embedUrlChanged ? 'pending' : (preserveStatus ? existing.status : 'pending');
+    if (this.isScheduledEvent(event) && (!existing || existing.status === 'scheduled' || embedUrlChanged)) {
+      status = 'scheduled';
+    }
 
     return {
       id,
       category: event.category || 'uncategorized',
       title: event.title,
+      startTime: event.startTime || null,
+      icon: event.poster || event.teams?.home?.badge || existing?.icon || null,
+      teams: event.teams || existing?.teams || null,
+      league: event.league || existing?.league || null,
       embedUrl: event.embedUrl,
       streamUrl: embedUrlChanged ? null : event.streamUrl || existing?.streamUrl || null,
       streamMimeType: embedUrlChanged ? null : event.streamMimeType || existing?.streamMimeType || null,
+      streamExpiresAt: embedUrlChanged ? null : existing?.streamExpiresAt || null,
       requestHeaders,
       sourceOptions: event.sourceOptions || existing?.sourceOptions || [],
       qualityOptions: event.qualityOptions || existing?.qualityOptions || [],
       cookies: embedUrlChanged ? [] : existing?.cookies || [],
       selectedSource: event.sourceOptions?.length
-        ? { source: event.sourceOptions[0].source, sourceId: event.sourceOptions[0].sourceId }
+        ? (({ source, sourceId }) => ({ source, sourceId }))(
+          event.sourceOptions.find((option) => option.embedUrl === event.embedUrl) || event.sourceOptions[0]
+        )
         : existing?.selectedSource || null,
       streamMode: existing?.streamMode || null,
+      deliveryMode: existing?.deliveryMode || null,
+      qualityPolicy: existing?.qualityPolicy || null,
+      transcodeProfile: existing?.transcodeProfile || null,
       streamHeaders: embedUrlChanged ? null : existing?.streamHeaders || null,
       expiresAt,
       // Lifecycle fields
@@ -154,9 +418,61 @@ class ChannelManager {
       nextRetryAt: (embedUrlChanged || !preserveStatus) ? null : existing?.nextRetryAt || null,
       healthFailCount: embedUrlChanged ? 0 : existing?.healthFailCount || 0,
       healthFailTimestamps: embedUrlChanged ? [] : existing?.healthFailTimestamps || [],
+      history: existing?.history || [],
     };
   }
 
+  // Orders an event's source options by score. A channel keeps the source it is already on
+  // while that source is still offered; otherwise it starts on the best-scoring one.
+  rankEventSources(event, existing) {
+    if (!event.sourceOptions?.length) return event;
+    const sourceOptions = this.sourceScores.rank(event.sourceOptions);
+    // Only re-point the embed when the scraper's primary came from the options list
+    if (!sourceOptions.some((option) => option.embedUrl === event.embedUrl)) return { ...event, sourceOptions };
+
+    const current = existing?.embedUrl && sourceOptions.find((option) => option.embedUrl === existing.embedUrl);
+    const primary = current || sourceOptions[0];
+    return {
+      ...event,
+      sourceOptions,
+      embedUrl: primary.embedUrl,
+      requestHeaders: primary.requestHeaders || event.requestHeaders,
+    };
+  }
+
+  getSourceOption(channel, embedUrl = channel.embedUrl) {
+    return channel.sourceOptions?.find((option) => option.embedUrl === embedUrl) || { embedUrl };
+  }
+
+  // Records the best rendition a master playlist advertises against the channel's source
+  recordManifestQuality(channel, manifestBody) {
+    const quality = parseManifestQuality(manifestBody);
+    if (!quality.bandwidth && !quality.height) return;
+    this.sourceScores.recordQuality(this.getSourceOption(channel), quality);
+  }
+
+  isScheduledEvent(event) {
+    if (!event.embedUrl) return true;
+    if (event.live !== false || !event.startTime) return false;
+    const opensAt = dayjs(event.startTime).subtract(this.resolveLeadMinutes, 'minute');
+    return opensAt.isAfter(dayjs());
+  }
+
+  // Moves scheduled channels into the resolution queue once kick-off is within the lead window
+  promoteScheduledChannels(now = Date.now()) {
+    const leadMs = this.resolveLeadMinutes * 60 * 1000;
+    this.channels
+      .filter((ch) => ch.status === 'scheduled' && ch.embedUrl)
+      .filter((ch) => !ch.startTime || new Date(ch.startTime).getTime() - leadMs <= now)
+      .forEach((channel) => {
+        channel.status = 'pending';
+        this.logger?.info('Scheduled channel entering resolution queue', {
+          channelId: channel.id,
+          startTime: channel.startTime,
+        });
+      });
+  }
+
   selectSource(channelId, embedUrl) {
     const channel = this.channels.find((c) => c.id === channelId);
     if (!channel) return null;
@@ -169,6 +485,7 @@ class ChannelManager {
       : channel.selectedSource;
     channel.cookies = [];
     channel.streamMode = null;
+    channel.streamMimeType = null;
     channel.status = 'pending';
     channel.failCount = 0;
     channel.nextRetryAt = null;
@@ -177,6 +494,64 @@ class ChannelManager {
     return channel;
   }
 
+  getDeliveryMode(channel) {
+    // IPTV clients can't play DASH and the proxy only rewrites HLS, so DASH always goes through ffmpeg
+    if (this.isDashChannel(channel)) return 'transmux';
+    // Likewise anything that has to be re-encoded
+    if (this.getTranscodeProfile(channel) !== 'copy') return 'transmux';
+    return channel?.deliveryMode || this.deliveryMode;
+  }
+
+  async setDeliveryMode(channelId, mode) {
+    const channel = this.channels.find((c) => c.id === channelId);
+    if (!channel) return null;
+    if (mode !== null && !DELIVERY_MODES.includes(mode)) {
+      throw new Error(`Unknown delivery mode: ${mode}`);
+    }
+
+    const previous = this.getDeliveryMode(channel);
+    channel.deliveryMode = mode;
+    if (previous === 'transmux' && this.getDeliveryMode(channel) !== 'transmux') {
+      await this.cleanupTransmuxJobs([channel.id]);
+    }
+
+    this.logger?.info(`Updated delivery mode for ${channelId}`, { mode: mode || `inherit (${this.deliveryMode})` });
+    await this.persist();
+    return channel;
+  }
+
+  getQualityPolicy(channel) {
+    return channel?.qualityPolicy || this.qualityPolicy;
+  }
+
+  // null clears the override so the channel follows the global policy again
+  async setQualityPolicy(channelId, policy) {
+    const channel = this.channels.find((c) => c.id === channelId);
+    if (!channel) return null;
+
+    channel.qualityPolicy = normalizeQualityPolicy(policy);
+    this.logger?.info(`Updated quality policy for ${channelId}`, { policy: channel.qualityPolicy || 'inherit' });
+    await this.persist();
+    return channel;
+  }
+
+  // Master playlist as proxied clients should see it under the channel's quality policy
+  applyQualityPolicy(channel, manifestBody) {
+    return filterVariants(manifestBody, this.getQualityPolicy(channel));
+  }
+
+  getStreamPath(channel) {
+    const base = `/hls/${encodeURIComponent(channel.id)}`;
+    switch (this.getDeliveryMode(channel)) {
+      case 'proxy':
+        return `${base}/proxy`;
+      case 'transmux':
+        return `${base}/local`;
+      default:
+        return base;
+    }
+  }
+
   async selectQuality(channelId, embedUrl) {
     const channel = this.channels.find((c) => c.id === channelId);
     if (!channel) return null;
@@ -185,6 +560,7 @@ class ChannelManager {
     channel.requestHeaders = buildDefaultStreamHeaders(embedUrl);
     channel.cookies = [];
     channel.streamMode = null;
+    channel.streamMimeType = null;
     channel.status = 'pending';
     channel.failCount = 0;
     channel.nextRetryAt = null;
@@ -194,54 +570,248 @@ class ChannelManager {
   }
 
   generatePlaylist(baseUrl) {
+    if (this.slotsEnabled()) return this.generateSlotPlaylist(baseUrl);
+
     const lines = ['#EXTM3U'];
+    // In lazy mode anything that could still play is listed; /hls/:id resolves it on tune-in
+    const listed = this.lazyResolution.enabled
+      ? (ch) => ch.embedUrl && ch.status !== 'dead' && ch.status !== 'scheduled'
+      : (ch) => (ch.status === 'healthy' || ch.status === 'resolved') && ch.streamUrl;
     this.channels
-      .filter((ch) => (ch.status === 'healthy' || ch.status === 'resolved') && ch.streamUrl)
+      .filter(listed)
       .forEach((channel) => {
+        const chno = channel.number != null ? ` tvg-chno="${channel.number}"` : '';
+        const logo = channel.icon ? ` tvg-logo="${channel.icon}"` : '';
         lines.push(
-          `#EXTINF:-1 tvg-id="${channel.id}" group-title="${channel.category}",${channel.title || channel.category}`,
+          `#EXTINF:-1 tvg-id="${channel.id}"${chno}${logo} group-title="${channel.category}",${channel.title || channel.category}`,
         );
-        lines.push(`${baseUrl}/hls/${encodeURIComponent(channel.id)}`);
+        lines.push(`${baseUrl}${this.getStreamPath(channel)}`);
       });
     return lines.join('\n');
   }
 
+  generateSlotPlaylist(baseUrl) {
+    const lines = ['#EXTM3U'];
+    // Every slot is listed, occupied or not, so the lineup never changes between rebuilds
+    this.slots.forEach((slot) => {
+      const chno = slot.number != null ? ` tvg-chno="${slot.number}"` : '';
+      const icon = slot.channelId ? this.channels.find((ch) => ch.id === slot.channelId)?.icon : null;
+      const logo = icon ? ` tvg-logo="${icon}"` : '';
+      lines.push(`#EXTINF:-1 tvg-id="${slot.id}"${chno}${logo} group-title="${slot.category}",${slot.label}`);
+      lines.push(`${baseUrl}/hls/${encodeURIComponent(slot.id)}`);
+    });
+    return lines.join('\n');
+  }
+
   generateEpg() {
     const xml = create('tv', { version: '1.0', encoding: 'UTF-8' });
-    const healthyIds = new Set(
-      this.channels.filter((ch) => ch.status === 'healthy' || ch.status === 'resolved').map((ch) => ch.id)
+    const guide = this.slotsEnabled() ? this.buildSlotGuide() : this.buildChannelGuide();
+
+    guide.channels.forEach((entry) => {
+      const channelEl = xml.ele('channel', { id: entry.id });
+      channelEl.ele('display-name').txt(entry.name);
+      if (entry.number != null) {
+        channelEl.ele('display-name').txt(String(entry.number));
+        channelEl.ele('lcn').txt(String(entry.number));
+      }
+      if (entry.icon) channelEl.ele('icon', { src: entry.icon });
+    });
+
+    // Child order follows the XMLTV DTD: title, sub-title, desc, date, category, icon, live
+    guide.programmes.forEach((programme) => {
+      const start = dayjs(programme.start).tz(this.timezone);
+      const programmeEl = xml.ele('programme', {
+        start: start.format('YYYYMMDDHHmmss ZZ'),
+        stop: dayjs(programme.stop).tz(this.timezone).format('YYYYMMDDHHmmss ZZ'),
+        channel: programme.channelId,
+      });
+      programmeEl.ele('title').txt(programme.title);
+      if (programme.subTitle) programmeEl.ele('sub-title').txt(programme.subTitle);
+      if (programme.description) programmeEl.ele('desc').txt(programme.description);
+      if (!programme.filler) programmeEl.ele('date').txt(start.format('YYYYMMDD'));
+      programmeEl.ele('category').txt(programme.category);
+      if (programme.icon) programmeEl.ele('icon', { src: programme.icon });
+      if (programme.live && !programme.filler) programmeEl.ele('live');
+    });
+
+    return xml.end({ pretty: true });
+  }
+
+  buildChannelGuide() {
+    // Scheduled channels are advertised ahead of kick-off even though they can't be tuned yet
+    const healthy = this.channels.filter(
+      (ch) => ch.status === 'healthy' || ch.status === 'resolved' || ch.status === 'scheduled',
     );
+    const healthyIds = new Set(healthy.map((ch) => ch.id));
 
-    this.channels.filter((ch) => healthyIds.has(ch.id)).forEach((channel) => {
-      xml
-        .ele('channel', { id: channel.id })
-        .ele('display-name')
-        .txt(channel.title || channel.category)
-        .up()
-        .up();
+    const programmes = [];
+    healthy.forEach((channel) => {
+      const own = this.programmes.filter((p) => p.channelId === channel.id);
+      programmes.push(...this.withFillerProgrammes(channel.id, own));
     });
 
-    this.programmes.filter((p) => healthyIds.has(p.channelId)).forEach((programme) => {
-      xml
-        .ele('programme', {
-          start: dayjs(programme.start).tz(this.timezone).format('YYYYMMDDHHmmss ZZ'),
-          stop: dayjs(programme.stop).tz(this.timezone).format('YYYYMMDDHHmmss ZZ'),
-          channel: programme.channelId,
-        })
-        .ele('title')
-        .txt(programme.title)
-        .up()
-        .ele('category')
-        .txt(programme.category)
-        .up()
-        .up();
+    return {
+      channels: healthy.map((channel) => ({
+        id: channel.id,
+        name: channel.title || channel.category,
+        number: channel.number,
+        icon: channel.icon,
+      })),
+      programmes: programmes.filter((p) => healthyIds.has(p.channelId)),
+    };
+  }
+
+  // Pads a channel's schedule so the guide reads like real TV: an "Upcoming" block
+  // from the top of the current hour until kick-off and "Event ended" until the end
+  // of the guide window.
+  withFillerProgrammes(channelId, programmes) {
+    if (!programmes.length) return [];
+
+    const windowStart = dayjs().startOf('hour');
+    const windowEnd = windowStart.add(this.lifetimeHours, 'hour');
+    const sorted = programmes.slice().sort((a, b) => new Date(a.start) - new Date(b.start));
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    const result = [];
+
+    if (dayjs(first.start).isAfter(windowStart)) {
+      result.push({
+        channelId,
+        title: `Upcoming: ${first.title}`,
+        category: first.category,
+        start: windowStart.toDate(),
+        stop: first.start,
+        filler: true,
+      });
+    }
+
+    result.push(...sorted);
+
+    if (dayjs(last.stop).isBefore(windowEnd)) {
+      result.push({
+        channelId,
+        title: 'Event ended',
+        category: last.category,
+        start: last.stop,
+        stop: windowEnd.toDate(),
+        filler: true,
+      });
+    }
+
+    return result;
+  }
+
+  buildSlotGuide() {
+    const now = dayjs().startOf('hour');
+    const programmes = [];
+
+    this.slots.forEach((slot) => {
+      const assigned = slot.channelId
+        ? this.programmes.filter((programme) => programme.channelId === slot.channelId)
+        : [];
+
+      if (assigned.length) {
+        const remapped = assigned.map((programme) => ({ ...programme, channelId: slot.id }));
+        programmes.push(...this.withFillerProgrammes(slot.id, remapped));
+        return;
+      }
+
+      programmes.push({
+        channelId: slot.id,
+        title: 'No event',
+        category: slot.category,
+        start: now.toDate(),
+        stop: now.add(this.lifetimeHours, 'hour').toDate(),
+      });
     });
 
-    return xml.end({ pretty: true });
+    return {
+      channels: this.slots.map((slot) => ({
+        id: slot.id,
+        name: slot.label,
+        number: slot.number,
+        icon: slot.channelId ? this.channels.find((ch) => ch.id === slot.channelId)?.icon : null,
+      })),
+      programmes,
+    };
+  }
+
+  slotsEnabled() {
+    return Boolean(this.slotConfig?.enabled);
+  }
+
+  getSlot(id) {
+    return this.slots.find((slot) => slot.id === id) || null;
+  }
+
+  assignSlots() {
+    if (!this.slotsEnabled()) {
+      this.slots = [];
+      return;
+    }
+
+    const channelsById = new Map(this.channels.map((channel) => [channel.id, channel]));
+    const previous = new Map(this.slots.map((slot) => [slot.id, slot]));
+    const slots = [];
+
+    Object.entries(this.slotConfig.categories || {}).forEach(([rawCategory, rawCount]) => {
+      const category = rawCategory.toLowerCase();
+      const count = Math.max(0, parseInt(rawCount, 10) || 0);
+      const label = category.charAt(0).toUpperCase() + category.slice(1);
+      const categorySlots = [];
+
+      for (let index = 1; index <= count; index += 1) {
+        const id = `slot-${category}-${index}`;
+        const prior = previous.get(id);
+        const channel = prior?.channelId ? channelsById.get(prior.channelId) : null;
+        // Sticky assignment: an event keeps its slot for as long as it is still around
+        const keep = channel && channel.status !== 'dead';
+        categorySlots.push({
+          id,
+          category,
+          label: `${label} ${index}`,
+          number: this.numberAllocator.assign(id, category),
+          channelId: keep ? channel.id : null,
+        });
+      }
+
+      const slotted = new Set(categorySlots.map((slot) => slot.channelId).filter(Boolean));
+      const waiting = this.channels
+        .filter((channel) => channel.category === category && channel.status !== 'dead' && !slotted.has(channel.id))
+        .sort((a, b) => new Date(a.startTime || 0) - new Date(b.startTime || 0));
+
+      categorySlots
+        .filter((slot) => !slot.channelId)
+        .forEach((slot) => {
+          const next = waiting.shift();
+          if (next) slot.channelId = next.id;
+        });
+
+      if (waiting.length) {
+        this.logger?.warn('More live events than slots, some events are not in the lineup', {
+          category,
+          slots: count,
+          overflow: waiting.length,
+        });
+      }
+
+      slots.push(...categorySlots);
+    });
+
+    const slotByChannel = new Map(slots.filter((slot) => slot.channelId).map((slot) => [slot.channelId, slot.id]));
+    this.channels.forEach((channel) => {
+      channel.slotId = slotByChannel.get(channel.id) || null;
+    });
+    this.slots = slots;
   }
 
   getChannelById(id) {
-    return this.channels.find((channel) => channel.id === id);
+    const channel = this.channels.find((ch) => ch.id === id);
+    if (channel) return channel;
+
+    // Slot ids are the stable client-facing ids in slot mode; map them to the event they carry
+    const slot = this.getSlot(id);
+    return slot?.channelId ? this.channels.find((ch) => ch.id === slot.channelId) : undefined;
   }
 
   buildStreamHeaders(channel) {
@@ -311,13 +881,27 @@ class ChannelManager {
     channel.cookies = Array.from(cookieMap.values());
   }
 
-  async fetchStream(channel, targetUrl) {
+  // Whether a URL was served from the channel's current stream: same origin and under
+  // the same directory as streamUrl
+  isCurrentStreamUrl(channel, targetUrl) {
+    if (!channel?.streamUrl) return false;
+    try {
+      const current = new URL(channel.streamUrl);
+      const target = new URL(targetUrl);
+      const directory = current.pathname.slice(0, current.pathname.lastIndexOf('/') + 1);
+      return target.origin === current.origin && target.pathname.startsWith(directory);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async fetchStream(channel, targetUrl, { stream = false } = {}) {
     const headers = this.buildStreamHeaders(channel);
     this.logger?.debug('Proxying stream fetch', { channelId: channel?.id, targetUrl });
 
     const response = await axios.get(targetUrl, {
       headers,
-      responseType: 'arraybuffer',
+      responseType: stream ? 'stream' : 'arraybuffer',
       validateStatus: (status) => status >= 200 && status < 500,
       proxy: false,
       httpsAgent: createHttpsAgent(this.logger),
@@ -326,7 +910,12 @@ class ChannelManager {
     this.updateCookies(channel, response.headers['set-cookie']);
 
     if (response.status === 403 || response.status === 410) {
-      const bodyPreview = response.data ? response.data.toString('utf8').substring(0, 500) : '';
+      let bodyPreview = '';
+      if (stream) {
+        response.data?.destroy?.();
+      } else if (response.data) {
+        bodyPreview = response.data.toString('utf8').substring(0, 500);
+      }
       this.logger.warn('Upstream rejected request', {
         channelId: channel.id,
         status: response.status,
@@ -337,9 +926,13 @@ class ChannelManager {
         hasSecFetch: Boolean(headers['Sec-Fetch-Mode']),
         bodyPreview,
       });
-      channel.streamUrl = null;
-      channel.resolvedAt = null;
-      channel.status = 'pending';
+      // Stitched playlists still list the previous source's segments for a while; a 403
+      // on one of those says nothing about the URL we just resolved
+      if (this.isCurrentStreamUrl(channel, targetUrl)) {
+        channel.streamUrl = null;
+        channel.resolvedAt = null;
+        channel.status = 'pending';
+      }
       const err = new Error(`Upstream returned ${response.status}`);
       err.upstreamStatus = response.status;
       throw err;
@@ -348,32 +941,67 @@ class ChannelManager {
     return response;
   }
 
-  rewriteManifest(manifestBody, manifestUrl, baseProxyUrl) {
+  // variantUrl(index, absoluteUrl), when given, replaces the URI of each EXT-X-STREAM-INF
+  // variant instead of proxying it directly (used to point clients at stitched playlists).
+  rewriteManifest(manifestBody, manifestUrl, baseProxyUrl, { variantUrl, renditionUrl } = {}) {
+    const toProxyUrl = (reference) => {
+      try {
+        const absolute = new URL(reference, manifestUrl).toString();
+        return `${baseProxyUrl}/proxy?url=${encodeURIComponent(absolute)}`;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    let variantIndex = 0;
+    let renditionIndex = 0;
+    let nextIsVariant = false;
     const lines = manifestBody.split(/\r?\n/);
     const rewritten = lines.map((line) => {
       const trimmed = line.trim();
-      if (!trimmed || trimmed.startsWith('#')) return line;
+      if (!trimmed) return line;
+
+      if (trimmed.startsWith('#EXT-X-STREAM-INF')) nextIsVariant = true;
+
+      // Keys, init segments, alternate renditions and I-frame playlists reference URIs in tag attributes
+      if (trimmed.startsWith('#')) {
+        if (!URI_ATTRIBUTE_TAGS.some((tag) => trimmed.startsWith(tag))) return line;
+        // Alternate audio/subtitle renditions can be stitched like variants
+        if (renditionUrl && trimmed.startsWith('#EXT-X-MEDIA:') && /URI="[^"]+"/.test(trimmed)) {
+          const index = renditionIndex;
+          renditionIndex += 1;
+          return line.replace(/URI="([^"]*)"/, (match, uri) => `URI="${renditionUrl(index, new URL(uri, manifestUrl).toString())}"`);
+        }
+        return line.replace(/URI="([^"]*)"/g, (match, uri) => {
+          if (!uri || uri.startsWith('data:') || uri.startsWith('skd:')) return match;
+          const proxied = toProxyUrl(uri);
+          return proxied ? `URI="${proxied}"` : match;
+        });
+      }
 
-      let absolute;
-      try {
-        absolute = new URL(trimmed, manifestUrl).toString();
-      } catch (error) {
-        return line;
+      if (nextIsVariant && variantUrl) {
+        nextIsVariant = false;
+        const index = variantIndex;
+        variantIndex += 1;
+        return variantUrl(index, new URL(trimmed, manifestUrl).toString());
       }
+      nextIsVariant = false;
 
-      return `${baseProxyUrl}/proxy?url=${encodeURIComponent(absolute)}`;
+      return toProxyUrl(trimmed) || line;
     });
 
     return rewritten.join('\n');
   }
 
-  rewriteLocalManifest(manifestBody, baseProxyUrl) {
+  // query (e.g. "profile=h264-720p") is appended to every segment URL
+  rewriteLocalManifest(manifestBody, baseProxyUrl, query = '') {
+    const suffix = query ? `?${query}` : '';
     const lines = manifestBody.split(/\r?\n/);
     const rewritten = lines.map((line) => {
       const trimmed = line.trim();
       if (!trimmed || trimmed.startsWith('#')) return line;
 
-      return `${baseProxyUrl}/${encodeURIComponent(trimmed)}`;
+      return `${baseProxyUrl}/${encodeURIComponent(trimmed)}${suffix}`;
     });
 
     return rewritten.join('\n');
@@ -385,6 +1013,20 @@ class ChannelManager {
     return /mpegurl/i.test(mime) || url.includes('.m3u8');
   }
 
+  isDashChannel(channel) {
+    if (channel?.streamMode === 'dash') return true;
+    const mime = channel?.streamMimeType || '';
+    return /dash\+xml/i.test(mime);
+  }
+
+  getResolveOptions(channel, solverCookies = null) {
+    return {
+      referer: channel.referer || process.env.FRONT_PAGE_URL || 'https://streamed.pk',
+      maxAttempts: parseInt(process.env.RESTREAM_MAX_ATTEMPTS) || 2,
+      solverCookies,
+    };
+  }
+
   async resolveStream(channel) {
     // Build list of embed URLs to try: current first, then remaining sourceOptions
     const embedUrls = [channel.embedUrl];
@@ -420,22 +1062,31 @@ class ChannelManager {
         totalSources: embedUrls.length,
       });
 
-      const result = await this.streamResolver.resolve(embedUrl, {
-        referer: channel.referer || process.env.FRONT_PAGE_URL || 'https://streamed.pk',
-        maxAttempts: parseInt(process.env.RESTREAM_MAX_ATTEMPTS) || 2,
-        solverCookies,
-      });
+      const option = this.getSourceOption(channel, embedUrl);
+      const startedAt = Date.now();
+      let result;
+      try {
+        result = await this.streamResolver.resolve(embedUrl, this.getResolveOptions(channel, solverCookies));
+      } catch (error) {
+        this.sourceScores.recordResolution(option, false);
+        throw error;
+      }
+      this.sourceScores.recordResolution(option, Boolean(result), Date.now() - startedAt);
 
       if (result) {
         channel.embedUrl = embedUrl; // Update to the working source
         channel.streamUrl = result.streamUrl;
         channel.streamHeaders = result.headers;
-        channel.streamMode = 'hls';
+        channel.streamMimeType = result.contentType || guessMimeTypeFromUrl(result.streamUrl) || null;
+        channel.streamMode = /dash\+xml/i.test(channel.streamMimeType || '') ? 'dash' : 'hls';
+        // Prefer the CDN's own expiry over the global TTL when the URL carries one
+        channel.streamExpiresAt = result.expiresAt || parseStreamExpiry(result.streamUrl) || null;
         channel.resolvedAt = Date.now();
 
         this.logger.info('Stream resolved', {
           channelId: channel.id,
           streamMode: channel.streamMode,
+          streamExpiresAt: channel.streamExpiresAt ? new Date(channel.streamExpiresAt).toISOString() : null,
           embedUrl,
         });
 
@@ -449,7 +1100,7 @@ class ChannelManager {
     return null;
   }
 
-  async ensureTransmuxed(channel) {
+  async ensureTransmuxed(channel, profile = this.getTranscodeProfile(channel)) {
     if (!channel.streamUrl) {
       this.logger.warn('No stream URL for transmuxing', { channelId: channel.id });
       return null;
@@ -459,12 +1110,17 @@ class ChannelManager {
       const job = await this.transmuxer.ensureJob(
         channel.id,
         channel.streamUrl,
-        channel.streamHeaders || {}
+        channel.streamHeaders || {},
+        profile,
+        { priority: this.getViewerCount(channel.id) }
       );
       return job;
     } catch (error) {
+      // The transmuxer is busy rather than broken; let the caller tell the client when to retry
+      if (error.retryAfterSeconds) throw error;
       this.logger.error('Transmuxing failed', {
         channelId: channel.id,
+        profile,
         streamUrl: channel.streamUrl,
         error: error.message,
       });
@@ -472,41 +1128,449 @@ class ChannelManager {
     }
   }
 
-  getTransmuxJob(channelId) {
-    return this.transmuxer.jobs.get(channelId) || null;
+  // Supplies the input for a restarted ffmpeg. A rejected URL is dropped like a proxied
+  // 403 so the channel re-resolves; otherwise the current URL is reused (it may have
+  // been refreshed since the job started).
+  async refreshTransmuxInput(job, { forbidden = false } = {}) {
+    const channel = this.getChannelById(job.channelId);
+    if (!channel) return null;
+
+    if (forbidden && channel.streamUrl === job.inputUrl) {
+      this.logger.warn('Transmux input rejected, re-resolving', { channelId: channel.id });
+      channel.streamUrl = null;
+      channel.resolvedAt = null;
+      channel.status = 'pending';
+    }
+
+    const ready = await this.requestResolution(channel);
+    if (!ready?.streamUrl) return null;
+    return { inputUrl: ready.streamUrl, headers: ready.streamHeaders || {} };
+  }
+
+  getTransmuxJob(channelId, profile = this.getTranscodeProfile(this.getChannelById(channelId))) {
+    return this.transmuxer.getJob(channelId, profile) || null;
   }
 
   async cleanupTransmuxJobs(ids = []) {
     if (!ids.length) return;
     this.logger?.info('Evicting transmux jobs', { channelIds: ids });
-    await Promise.all(ids.map((id) => this.transmuxer.cleanupJob?.(id)).filter(Boolean));
+    await Promise.all(ids.map((id) => this.transmuxer.cleanupChannel?.(id)).filter(Boolean));
   }
 
-  getNextChannelForResolution() {
+  getTranscodeProfile(channel) {
+    return channel?.transcodeProfile || this.transcodeProfile;
+  }
+
+  // null clears the override so the channel follows the global profile again
+  async setTranscodeProfile(channelId, profile) {
+    const channel = this.channels.find((c) => c.id === channelId);
+    if (!channel) return null;
+    if (profile !== null && !this.transmuxer.hasProfile(profile)) {
+      throw new Error(`Unknown transcoding profile: ${profile}`);
+    }
+
+    const previous = this.getTranscodeProfile(channel);
+    channel.transcodeProfile = profile;
+    if (previous !== this.getTranscodeProfile(channel)) {
+      await this.transmuxer.cleanupJob(channel.id, previous);
+    }
+
+    this.logger?.info(`Updated transcoding profile for ${channelId}`, { profile: profile || `inherit (${this.transcodeProfile})` });
+    await this.persist();
+    return channel;
+  }
+
+  recordViewer(channelId, clientKey = 'anonymous') {
+    const channel = this.channels.find((ch) => ch.id === channelId);
+    if (!channel) return;
     const now = Date.now();
+    const clients = this.viewers.get(channelId) || new Map();
+    if (!clients.has(clientKey)) {
+      this.logger?.debug('Viewer tuned in', { channelId, viewers: clients.size + 1 });
+    }
+    clients.set(clientKey, now);
+    this.viewers.set(channelId, clients);
+    channel.lastViewedAt = now;
+  }
+
+  getViewerCount(channelId, now = Date.now()) {
+    const clients = this.viewers.get(channelId);
+    if (!clients) return 0;
+    clients.forEach((lastSeen, clientKey) => {
+      if (now - lastSeen > this.viewerIdleMs) clients.delete(clientKey);
+    });
+    if (!clients.size) this.viewers.delete(channelId);
+    return clients.size;
+  }
+
+  // 0 = being watched, 1 = opened at some point, 2 = never opened
+  getViewerRank(channel, now = Date.now()) {
+    if (this.getViewerCount(channel.id, now) > 0) return 0;
+    return channel.lastViewedAt ? 1 : 2;
+  }
+
+  sortByViewers(channels, now = Date.now()) {
+    // Array#sort is stable, so ties keep their existing priority order
+    return channels
+      .map((channel) => ({ channel, rank: this.getViewerRank(channel, now) }))
+      .sort((a, b) => a.rank - b.rank)
+      .map(({ channel }) => channel);
+  }
+
+  // All channels that need resolving, best first; busy channels and hosts are not filtered out here
+  getResolutionCandidates(now = Date.now()) {
     const ttlMs = (parseInt(process.env.STREAM_URL_TTL_MINUTES) || 10) * 60 * 1000;
     const maxFailures = parseInt(process.env.RESOLUTION_MAX_FAILURES) || 5;
 
-    // Priority 1: pending channels
-    const pending = this.channels.filter((ch) => ch.status === 'pending');
-    if (pending.length) return pending[pending.length - 1]; // newest first
+    this.promoteScheduledChannels(now);
+
+    // Priority 0: channels a client is waiting on
+    const requested = this.channels.filter(
+      (ch) => this.priorityIds.has(ch.id) && ch.embedUrl && ch.status !== 'dead' && ch.status !== 'scheduled'
+    );
+    // Channels whose stream URL is about to expire
+    const expiring = this.channels.filter(
+      (ch) => (ch.status === 'healthy' || ch.status === 'resolved') && this.isStreamExpiring(ch, now, ttlMs)
+    );
+
+    // Watched streams about to run out come right after explicit requests: losing one
+    // interrupts a viewer, while a pending channel has nobody waiting on it yet
+    const watchedExpiring = this.sortByViewers(
+      expiring.filter((ch) => this.getViewerCount(ch.id, now) > 0),
+      now
+    );
+
+    // Lazy mode resolves nothing until someone tunes in, but keeps watched streams refreshed
+    if (this.lazyResolution.enabled) return [...new Set([...requested, ...watchedExpiring])];
+
+    // Priority 1: pending channels, newest first. Without an embed there is nothing to resolve.
+    const pending = this.channels.filter((ch) => ch.status === 'pending' && ch.embedUrl).reverse();
 
     // Priority 2: failed channels past their backoff
     const retriable = this.channels.filter(
       (ch) => ch.status === 'failed' && ch.failCount < maxFailures && (!ch.nextRetryAt || now >= ch.nextRetryAt)
     );
-    if (retriable.length) return retriable[0];
 
-    // Priority 3: expiring channels (>80% of TTL)
-    const expiring = this.channels.filter(
-      (ch) => (ch.status === 'healthy' || ch.status === 'resolved') &&
-              ch.streamUrl && ch.resolvedAt && (now - ch.resolvedAt > ttlMs * 0.8)
+    // Priority 3: expiring channels
+    // Within each tier, watched channels go first and never-opened ones last
+    return [
+      ...new Set([
+        ...requested,
+        ...watchedExpiring,
+        ...this.sortByViewers(pending, now),
+        ...this.sortByViewers(retriable, now),
+        ...this.sortByViewers(expiring, now),
+      ]),
+    ];
+  }
+
+  // Signed URLs are refreshed STREAM_EXPIRY_MARGIN_SECONDS before their own expiry;
+  // URLs without a hint fall back to 80% of the global TTL.
+  isStreamExpiring(channel, now = Date.now(), ttlMs = (parseInt(process.env.STREAM_URL_TTL_MINUTES) || 10) * 60 * 1000) {
+    if (!channel.streamUrl || !channel.resolvedAt) return false;
+    if (channel.streamExpiresAt) {
+      const marginMs = (parseInt(process.env.STREAM_EXPIRY_MARGIN_SECONDS) || 60) * 1000;
+      // Short-lived tokens would otherwise be refreshed the moment they resolve
+      const margin = Math.max(0, Math.min(marginMs, (channel.streamExpiresAt - channel.resolvedAt) * 0.2));
+      return now >= channel.streamExpiresAt - margin;
+    }
+    return now - channel.resolvedAt > ttlMs * 0.8;
+  }
+
+  getNextChannelForResolution() {
+    const busyHosts = this.getResolvingHostCounts();
+    return (
+      this.getResolutionCandidates().find((ch) => {
+        if (this.resolving.has(ch.id)) return false;
+        return (busyHosts[this.getEmbedHost(ch)] || 0) < this.resolutionPerHostConcurrency;
+      }) || null
     );
-    if (expiring.length) return expiring[0];
+  }
+
+  getEmbedHost(channel) {
+    try {
+      return new URL(channel.embedUrl).host;
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  getResolvingHostCounts() {
+    const counts = {};
+    this.resolving.forEach(({ host }) => {
+      counts[host] = (counts[host] || 0) + 1;
+    });
+    return counts;
+  }
 
+  startResolution(channel) {
+    const host = this.getEmbedHost(channel);
+    const entry = { channel, host, startedAt: Date.now() };
+    this.priorityIds.delete(channel.id);
+    entry.promise = this.resolveAndUpdateStatus(channel).finally(() => {
+      this.resolving.delete(channel.id);
+      (this.resolutionWaiters.get(channel.id) || []).forEach((notify) => notify());
+      this.resolutionWaiters.delete(channel.id);
+      // Let the loop refill the freed worker right away instead of waiting out its sleep
+      this._wakeResolutionLoop?.();
+    });
+    this.resolving.set(channel.id, entry);
+    return entry.promise;
+  }
+
+  // Puts a channel at the front of the queue, starting it now if a worker is free and
+  // its embed host is under the per-host limit
+  prioritizeResolution(channel) {
+    this.priorityIds.add(channel.id);
+    const hostBusy =
+      (this.getResolvingHostCounts()[this.getEmbedHost(channel)] || 0) >= this.resolutionPerHostConcurrency;
+    if (this.resolving.size < this.resolutionConcurrency && !hostBusy) {
+      this.startResolution(channel);
+    } else {
+      this._wakeResolutionLoop?.();
+    }
+  }
+
+  hasPlayableStream(channel) {
+    if (!channel?.streamUrl || (channel.status !== 'healthy' && channel.status !== 'resolved')) return false;
+    return !channel.streamExpiresAt || Date.now() < channel.streamExpiresAt;
+  }
+
+  // Moves a channel to the front of the queue and waits (up to timeoutMs) for its
+  // resolution to finish. Resolves to the channel once playable, null otherwise.
+  async requestResolution(channel, timeoutMs = this.lazyResolution.timeoutSeconds * 1000) {
+    if (!channel || this.hasPlayableStream(channel)) return channel || null;
+    if (channel.status === 'dead' || !channel.embedUrl) return null;
+
+    const done = this.resolving.get(channel.id)?.promise || new Promise((resolve) => {
+      const waiters = this.resolutionWaiters.get(channel.id) || [];
+      waiters.push(resolve);
+      this.resolutionWaiters.set(channel.id, waiters);
+    });
+
+    if (!this.resolving.has(channel.id)) {
+      this.logger.info('Client requested unresolved channel, prioritizing', { channelId: channel.id });
+      this.prioritizeResolution(channel);
+    }
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      timer = setTimeout(resolve, timeoutMs);
+      timer.unref?.();
+    });
+    await Promise.race([done.catch(() => {}), timedOut]);
+    clearTimeout(timer);
+
+    return this.hasPlayableStream(channel) ? channel : null;
+  }
+
+  getResolutionStats() {
+    const queued = this.getResolutionCandidates().filter((ch) => !this.resolving.has(ch.id));
+    return {
+      concurrency: this.resolutionConcurrency,
+      perHostConcurrency: this.resolutionPerHostConcurrency,
+      active: this.resolving.size,
+      queued: queued.length,
+      prioritized: this.priorityIds.size,
+      lazy: this.lazyResolution.enabled,
+      standbys: Array.from(this.standbys.values()).filter((standby) => standby.streamUrl).length,
+      activeChannels: Array.from(this.resolving.values()).map(({ channel, host, startedAt, standby }) => ({
+        channelId: channel.id,
+        host,
+        startedAt,
+        standby: Boolean(standby),
+      })),
+    };
+  }
+
+  getPlaybackState(channelId) {
+    if (!this.playback.has(channelId)) {
+      this.playback.set(channelId, { errors: 0, sequences: new Map(), lastFailoverAt: 0 });
+    }
+    return this.playback.get(channelId);
+  }
+
+  // Called for every proxied segment/key/playlist fetch. Token rejections (403/410) are
+  // left to re-resolution; anything else failing several times in a row fails over.
+  recordPlaybackResult(channel, { ok, status, reason } = {}) {
+    if (!channel) return null;
+    const state = this.getPlaybackState(channel.id);
+    if (ok) {
+      state.errors = 0;
+      return null;
+    }
+    if (status === 403 || status === 410) return null;
+
+    state.errors += 1;
+    const threshold = parseInt(process.env.PLAYBACK_FAILOVER_ERRORS) || 3;
+    if (state.errors < threshold) return null;
+    return this.failoverChannel(channel, `${state.errors} consecutive upstream errors (${reason || `HTTP ${status}`})`);
+  }
+
+  // Tracks the newest segment of each media playlist viewers poll; a live playlist that
+  // stops advancing for PLAYBACK_STALL_SECONDS (or three target durations) fails over.
+  recordPlaylistProgress(channel, playlistUrl, body, now = Date.now()) {
+    if (!channel) return null;
+    const parsed = parseMediaPlaylist(body, playlistUrl);
+    if (parsed.endList || !parsed.segments.length) return null;
+
+    const state = this.getPlaybackState(channel.id);
+    // Variants are tracked separately; tokens in the query don't make a different playlist
+    const key = String(playlistUrl).split('?')[0];
+    const head = parsed.segments[parsed.segments.length - 1].path;
+    const previous = state.sequences.get(key);
+    if (!previous || previous.head !== head) {
+      state.sequences.set(key, { head, changedAt: now });
+      return null;
+    }
+
+    const stallMs = Math.max(
+      (parseInt(process.env.PLAYBACK_STALL_SECONDS) || 30) * 1000,
+      parsed.targetDuration * 3 * 1000
+    );
+    if (now - previous.changedAt < stallMs) return null;
+    return this.failoverChannel(channel, `Media sequence stalled for ${Math.round((now - previous.changedAt) / 1000)}s`);
+  }
+
+  // Next source option after the current one (wrapping), or null when there is no alternative
+  getNextSourceOption(channel) {
+    const options = (channel.sourceOptions || []).filter((option) => option.embedUrl);
+    const currentIndex = options.findIndex((option) => option.embedUrl === channel.embedUrl);
+    for (let offset = 1; offset <= options.length; offset += 1) {
+      const option = options[(currentIndex + offset) % options.length];
+      if (option.embedUrl !== channel.embedUrl) return option;
+    }
     return null;
   }
 
+  recordHistory(channel, entry) {
+    const limit = parseInt(process.env.CHANNEL_HISTORY_LIMIT) || 20;
+    channel.history = [...(channel.history || []), { at: new Date().toISOString(), ...entry }].slice(-limit);
+  }
+
+  // Switches a channel that stopped playing to its warm standby, or failing that to the
+  // next source option with resolution prioritized. Returns true when a switch was made.
+  async failoverChannel(channel, reason, now = Date.now()) {
+    const state = this.getPlaybackState(channel.id);
+    const cooldownMs = (parseInt(process.env.PLAYBACK_FAILOVER_COOLDOWN_SECONDS) || 60) * 1000;
+    if (now - state.lastFailoverAt < cooldownMs || this.resolving.has(channel.id)) return false;
+
+    const from = channel.embedUrl;
+    const standby = this.standbys.get(channel.id);
+    const useStandby = Boolean(
+      standby?.streamUrl && standby.embedUrl !== from && !this.isStreamExpiring(standby, now)
+    );
+    const target = useStandby ? standby.embedUrl : this.getNextSourceOption(channel)?.embedUrl;
+    if (!target) {
+      this.logger.warn('Playback failing but no other source to fail over to', { channelId: channel.id, reason });
+      return false;
+    }
+
+    state.lastFailoverAt = now;
+    state.errors = 0;
+    state.sequences.clear();
+    this.standbys.delete(channel.id);
+    this.selectSource(channel.id, target);
+
+    if (useStandby) {
+      Object.assign(channel, {
+        streamUrl: standby.streamUrl,
+        streamHeaders: standby.streamHeaders,
+        streamMimeType: standby.streamMimeType,
+        streamMode: standby.streamMode,
+        streamExpiresAt: standby.streamExpiresAt,
+        resolvedAt: standby.resolvedAt,
+        status: 'healthy',
+      });
+      // Resolve a fresh standby for the new source
+      this._wakeResolutionLoop?.();
+    } else {
+      this.prioritizeResolution(channel);
+    }
+
+    this.recordHistory(channel, { type: 'failover', from, to: target, reason, standby: useStandby });
+    this.logger.warn('Playback failed over to another source', {
+      channelId: channel.id,
+      from,
+      to: target,
+      standby: useStandby,
+      reason,
+    });
+    await this.persist();
+    return true;
+  }
+
+  // Watched, playing channels with an alternative source and no usable standby yet
+  getStandbyCandidates(now = Date.now()) {
+    if (!this.warmStandby) return [];
+    const retryMs = (parseInt(process.env.PLAYBACK_FAILOVER_COOLDOWN_SECONDS) || 60) * 1000;
+
+    return this.channels.filter((channel) => {
+      if (channel.status !== 'healthy' && channel.status !== 'resolved') return false;
+      if (this.resolving.has(`${channel.id}:standby`) || this.getViewerCount(channel.id, now) === 0) return false;
+      const option = this.getNextSourceOption(channel);
+      if (!option) return false;
+
+      const standby = this.standbys.get(channel.id);
+      if (!standby || standby.embedUrl !== option.embedUrl) return true;
+      if (standby.failedAt) return now - standby.failedAt >= retryMs;
+      return this.isStreamExpiring(standby, now);
+    });
+  }
+
+  getNextStandbyCandidate() {
+    const busyHosts = this.getResolvingHostCounts();
+    return (
+      this.getStandbyCandidates().find((channel) => {
+        const host = this.getEmbedHost({ embedUrl: this.getNextSourceOption(channel).embedUrl });
+        return (busyHosts[host] || 0) < this.resolutionPerHostConcurrency;
+      }) || null
+    );
+  }
+
+  startStandbyResolution(channel) {
+    const option = this.getNextSourceOption(channel);
+    const key = `${channel.id}:standby`;
+    const entry = { channel, host: this.getEmbedHost(option), startedAt: Date.now(), standby: true };
+    entry.promise = this.resolveStandby(channel, option).finally(() => {
+      this.resolving.delete(key);
+      this._wakeResolutionLoop?.();
+    });
+    this.resolving.set(key, entry);
+    return entry.promise;
+  }
+
+  async resolveStandby(channel, option) {
+    const { embedUrl } = option;
+    this.logger.info('Resolving warm standby', { channelId: channel.id, embedUrl });
+    const startedAt = Date.now();
+    let result = null;
+    try {
+      result = await this.streamResolver.resolve(embedUrl, this.getResolveOptions(channel));
+    } catch (error) {
+      this.logger.warn('Warm standby resolution threw error', { channelId: channel.id, embedUrl, error: error.message });
+    }
+    this.sourceScores.recordResolution(option, Boolean(result), Date.now() - startedAt);
+
+    if (!result) {
+      this.standbys.set(channel.id, { embedUrl, failedAt: Date.now() });
+      this.logger.warn('Warm standby resolution failed', { channelId: channel.id, embedUrl });
+      return;
+    }
+
+    const streamMimeType = result.contentType || guessMimeTypeFromUrl(result.streamUrl) || null;
+    this.standbys.set(channel.id, {
+      embedUrl,
+      streamUrl: result.streamUrl,
+      streamHeaders: result.headers,
+      streamMimeType,
+      streamMode: /dash\+xml/i.test(streamMimeType || '') ? 'dash' : 'hls',
+      streamExpiresAt: result.expiresAt || parseStreamExpiry(result.streamUrl) || null,
+      resolvedAt: Date.now(),
+    });
+    this.logger.info('Warm standby ready', { channelId: channel.id, embedUrl });
+  }
+
   async resolveAndUpdateStatus(channel) {
     const maxFailures = parseInt(process.env.RESOLUTION_MAX_FAILURES) || 5;
     const BACKOFF_STEPS = [30000, 60000, 120000, 300000, 600000]; // 30s, 1m, 2m, 5m, 10m
@@ -546,23 +1610,42 @@ class ChannelManager {
         this.logger.warn('Channel resolution threw error', { channelId: channel.id, error: error.message, failCount: channel.failCount });
       }
     }
+
+    await this.persist();
   }
 
   async runResolutionLoop() {
     const sleepMs = parseInt(process.env.RESOLUTION_LOOP_SLEEP_MS) || 2000;
 
-    this.logger.info('Resolution loop started');
+    this.logger.info('Resolution loop started', {
+      concurrency: this.resolutionConcurrency,
+      perHostConcurrency: this.resolutionPerHostConcurrency,
+    });
 
     while (this.running) {
-      const channel = this.getNextChannelForResolution();
-
-      if (channel) {
-        await this.resolveAndUpdateStatus(channel);
+      while (this.resolving.size < this.resolutionConcurrency) {
+        const channel = this.getNextChannelForResolution();
+        if (channel) {
+          this.startResolution(channel);
+          continue;
+        }
+        // Spare workers keep standbys warm for channels people are watching
+        const standby = this.getNextStandbyCandidate();
+        if (!standby) break;
+        this.startStandbyResolution(standby);
       }
 
-      await new Promise((resolve) => setTimeout(resolve, sleepMs));
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, sleepMs);
+        this._wakeResolutionLoop = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this._wakeResolutionLoop = null;
     }
 
+    await Promise.allSettled(Array.from(this.resolving.values()).map((entry) => entry.promise));
     this.logger.info('Resolution loop stopped');
   }
 
@@ -587,10 +1670,11 @@ class ChannelManager {
     try {
       const headers = this.buildStreamHeaders(channel);
       const isHls = this.isHlsChannel(channel);
+      const isDash = this.isDashChannel(channel);
 
       let healthy;
       let reason = '';
-      if (isHls) {
+      if (isHls || isDash) {
         const response = await axios.get(channel.streamUrl, {
           headers,
           responseType: 'arraybuffer',
@@ -603,7 +1687,10 @@ class ChannelManager {
         if (healthy) {
           const body = response.data?.toString('utf8') || '';
           // Accept both media playlists (#EXTINF) and multi-variant playlists (#EXT-X-STREAM-INF)
-          healthy = body.includes('#EXTINF') || body.includes('#EXT-X-STREAM-INF');
+          healthy = isDash
+            ? body.includes('<MPD')
+            : body.includes('#EXTINF') || body.includes('#EXT-X-STREAM-INF');
+          if (healthy && !isDash) this.recordManifestQuality(channel, body);
           if (!healthy) {
             reason = `HTTP ${response.status} but invalid manifest (${body.substring(0, 100)})`;
           }
@@ -624,6 +1711,10 @@ class ChannelManager {
         }
       }
 
+      if (!reason.startsWith('HTTP 403') && !reason.startsWith('HTTP 410')) {
+        this.sourceScores.recordHealth(this.getSourceOption(channel), healthy);
+      }
+
       if (healthy) {
         channel.status = 'healthy';
         channel.lastHealthCheck = Date.now();
@@ -672,9 +1763,12 @@ class ChannelManager {
           channelId: channel.id,
         });
       } else {
+        this.sourceScores.recordHealth(this.getSourceOption(channel), false);
         this._markUnhealthy(channel, error.message, rapidFailThreshold, rapidFailWindowMs);
       }
     }
+
+    await this.persist();
   }
 
   _markUnhealthy(channel, reason, rapidFailThreshold, rapidFailWindowMs) {
@@ -708,17 +1802,30 @@ class ChannelManager {
     }
   }
 
+  // Watched channels are checked every pass; idle ones only every HEALTH_CHECK_IDLE_MULTIPLIER passes
+  getChannelsDueForHealthCheck(intervalMs, now = Date.now()) {
+    const idleMultiplier = parseInt(process.env.HEALTH_CHECK_IDLE_MULTIPLIER) || 4;
+    const checkable = this.channels.filter(
+      (ch) => ch.status === 'resolved' || ch.status === 'healthy'
+    );
+
+    return this.sortByViewers(checkable, now).filter((channel) => {
+      if (this.getViewerCount(channel.id, now) > 0) return true;
+      const lastChecked = this.healthCheckedAt.get(channel.id);
+      return !lastChecked || now - lastChecked >= intervalMs * idleMultiplier;
+    });
+  }
+
   async runHealthCheckLoop() {
     const intervalSeconds = parseInt(process.env.HEALTH_CHECK_INTERVAL_SECONDS) || 30;
 
     this.logger.info('Health check loop started', { intervalSeconds });
 
     while (this.running) {
-      const checkable = this.channels.filter(
-        (ch) => ch.status === 'resolved' || ch.status === 'healthy'
-      );
+      const checkable = this.getChannelsDueForHealthCheck(intervalSeconds * 1000);
 
       for (const channel of checkable) {
+        this.healthCheckedAt.set(channel.id, Date.now());
         if (!this.running) break;
         await this.checkChannelHealth(channel);
       }
@@ -743,3 +1850,6 @@ class ChannelManager {
 }
 
 module.exports = ChannelManager;
+module.exports.DELIVERY_MODES = DELIVERY_MODES;
+module.exports.QUALITY_MODES = QUALITY_MODES;
+module.exports.normalizeQualityPolicy = normalizeQualityPolicy;
@@ -0,0 +1,91 @@
+const DEFAULT_START = 1000;
+const DEFAULT_END = 9999;
+
+function normalizeRange(range) {
+  if (Array.isArray(range) && range.length === 2) {
+    return { start: Number(range[0]), end: Number(range[1]) };
+  }
+  if (range && typeof range === 'object') {
+    return { start: Number(range.start), end: Number(range.end) };
+  }
+  return null;
+}
+
+// Hands out stable channel numbers keyed by channel id. Categories can own a fixed
+// slot range (e.g. football 100-199); everything else falls into the default range.
+// Numbers are released when a channel disappears and reused lowest-first.
+class ChannelNumberAllocator {
+  constructor({ defaultStart = DEFAULT_START, defaultEnd = DEFAULT_END, ranges = {}, logger } = {}) {
+    this.defaultRange = { start: Number(defaultStart) || DEFAULT_START, end: Number(defaultEnd) || DEFAULT_END };
+    this.ranges = {};
+    this.logger = logger;
+    this.assignments = new Map();
+
+    Object.entries(ranges || {}).forEach(([category, range]) => {
+      const normalized = normalizeRange(range);
+      if (!normalized || !Number.isFinite(normalized.start) || !Number.isFinite(normalized.end) || normalized.start > normalized.end) {
+        this.logger?.warn('Ignoring invalid channel number range', { category, range });
+        return;
+      }
+      this.ranges[category.toLowerCase()] = normalized;
+    });
+  }
+
+  get(key) {
+    return this.assignments.get(key) ?? null;
+  }
+
+  assign(key, category) {
+    const existing = this.assignments.get(key);
+    if (existing !== undefined) return existing;
+
+    const used = new Set(this.assignments.values());
+    const categoryRange = this.ranges[(category || '').toLowerCase()];
+    let number = categoryRange ? this.findFree(categoryRange, used) : null;
+
+    if (number === null) {
+      if (categoryRange) {
+        this.logger?.warn('Channel number range exhausted, using default range', { category, range: categoryRange });
+      }
+      number = this.findFree(this.defaultRange, used);
+    }
+
+    if (number === null) {
+      this.logger?.error('No channel numbers left to assign', { key, category });
+      return null;
+    }
+
+    this.assignments.set(key, number);
+    return number;
+  }
+
+  findFree(range, used) {
+    for (let number = range.start; number <= range.end; number += 1) {
+      if (!used.has(number)) return number;
+    }
+    return null;
+  }
+
+  release(key) {
+    this.assignments.delete(key);
+  }
+
+  retain(keys) {
+    const keep = new Set(keys);
+    Array.from(this.assignments.keys())
+      .filter((key) => !keep.has(key))
+      .forEach((key) => this.release(key));
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.assignments);
+  }
+
+  load(assignments = {}) {
+    this.assignments = new Map(
+      Object.entries(assignments || {}).filter(([, number]) => Number.isFinite(number)),
+    );
+  }
+}
+
+module.exports = { ChannelNumberAllocator };
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATE_PATH = path.resolve(__dirname, '..', 'state.json');
+const STATE_VERSION = 1;
+
+// A store is any object exposing async load() -> snapshot|null and save(snapshot).
+// JsonChannelStore is the default; it writes atomically (tmp file + rename) and
+// coalesces bursts of saves so write-through callers never queue up disk I/O.
+class JsonChannelStore {
+  constructor({ filePath = DEFAULT_STATE_PATH, logger } = {}) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this._writing = null;
+    this._pending = null;
+  }
+
+  async load() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, 'utf-8');
+      const snapshot = JSON.parse(raw);
+      if (!snapshot || snapshot.version !== STATE_VERSION) {
+        this.logger?.warn('Ignoring persisted state with unknown version', {
+          filePath: this.filePath,
+          version: snapshot?.version,
+        });
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger?.warn('Failed to load persisted state', { filePath: this.filePath, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  async save(snapshot) {
+    this._pending = { ...snapshot, version: STATE_VERSION };
+    if (!this._writing) {
+      this._writing = this._flush().finally(() => {
+        this._writing = null;
+      });
+    }
+    return this._writing;
+  }
+
+  async _flush() {
+    while (this._pending) {
+      const snapshot = this._pending;
+      this._pending = null;
+      const tmpPath = `${this.filePath}.tmp`;
+      try {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot));
+        await fs.promises.rename(tmpPath, this.filePath);
+      } catch (error) {
+        this.logger?.error('Failed to persist state', { filePath: this.filePath, error: error.message });
+      }
+    }
+  }
+}
+
+function createChannelStoreFromEnv(logger) {
+  const type = (process.env.STATE_STORE || 'json').toLowerCase();
+  if (type === 'none' || type === 'memory') {
+    logger?.info('Channel state persistence disabled', { store: type });
+    return null;
+  }
+
+  const filePath = process.env.STATE_FILE_PATH || DEFAULT_STATE_PATH;
+  logger?.info('Persisting channel state', { store: 'json', filePath });
+  return new JsonChannelStore({ filePath, logger });
+}
+
+module.exports = {
+  JsonChannelStore,
+  createChannelStoreFromEnv,
+  STATE_VERSION,
+};
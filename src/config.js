@@ -8,18 +8,62 @@ const defaultConfig = {
   rebuildIntervalMinutes: 60,
   lifetimeHours: 24,
   timezone: 'UTC',
+  // Event sources merged on every rebuild; see src/providers.js for available types
+  providers: [{ type: 'streamed-api', includeUpcoming: true, upcomingHours: 6 }],
+  // tvg-chno allocation: ranges map a category to a fixed [start, end] block
+  channelNumbering: { defaultStart: 1000, defaultEnd: 9999, ranges: {} },
+  // Slot mode: fixed channels per category (e.g. { football: 8 }) that events rotate through.
+  // fillerUrl (an HLS stream empty slots play) is required once slot mode is enabled.
+  slots: { enabled: false, categories: {}, fillerUrl: null },
+  // Programme length in minutes per category; overrides the built-in defaults in scraper.js
+  programmeDurations: {},
+  // Scheduled (upcoming) channels enter the resolution queue this many minutes before kick-off
+  resolveLeadMinutes: 10,
+  // Default stream delivery for every channel: redirect | proxy | transmux (channels can override)
+  deliveryMode: 'proxy',
+  // Lazy mode lists every channel and only resolves one when a client tunes in
+  lazyResolution: { enabled: false, timeoutSeconds: 30 },
+  // Variants proxied clients get from master playlists: mode all | highest | lowest, with
+  // optional maxHeight (e.g. 720) and maxBandwidth (bits/s) caps; channels can override
+  qualityPolicy: { mode: 'all', maxHeight: null, maxBandwidth: null },
+  // Default ffmpeg profile for transmuxed channels (copy, h264-720p, h264-1080p, audio-only-aac,
+  // low-bandwidth); anything other than copy forces transmux delivery. Channels can override it.
+  transcodeProfile: 'copy',
+  // Extra or overridden profiles, e.g. { "h264-540p": { "video": { "codec": "libx264", "height": 540,
+  // "bitrate": "1500k" }, "audio": { "codec": "aac", "bitrate": "96k" } } }; see src/transmuxer.js
+  transcodingProfiles: {},
 };
 
+// Why a slots config can't be used, or null. Empty slots have nothing to play without a
+// filler, and clients drop a channel that answers 404.
+function validateSlots(slots) {
+  if (!slots?.enabled) return null;
+  try {
+    const { protocol } = new URL(slots.fillerUrl);
+    if (protocol === 'http:' || protocol === 'https:') return null;
+  } catch (error) {
+    // Falls through to the error below
+  }
+  return 'slots.fillerUrl must be an http(s) URL when slot mode is enabled';
+}
+
 function loadConfig(logger) {
+  let config = { ...defaultConfig };
   try {
     if (fs.existsSync(CONFIG_PATH)) {
       const raw = fs.readFileSync(CONFIG_PATH, 'utf-8');
-      return { ...defaultConfig, ...JSON.parse(raw) };
+      config = { ...defaultConfig, ...JSON.parse(raw) };
     }
   } catch (error) {
     logger?.warn('Failed to load config, using defaults', { error: error.message });
   }
-  return { ...defaultConfig };
+
+  const slotsError = validateSlots(config.slots);
+  if (slotsError) {
+    logger?.error('Invalid slot config, slot mode disabled', { error: slotsError });
+    config.slots = { ...config.slots, enabled: false };
+  }
+  return config;
 }
 
 function saveConfig(config, logger) {
@@ -30,4 +74,4 @@ function saveConfig(config, logger) {
   }
 }
 
-module.exports = { loadConfig, saveConfig, defaultConfig, CONFIG_PATH };
+module.exports = { loadConfig, saveConfig, validateSlots, defaultConfig, CONFIG_PATH };
@@ -0,0 +1,343 @@
+const DEFAULT_WINDOW_SIZE = 10;
+const DEFAULT_LIVE_EDGE_SEGMENTS = 3;
+
+// Tags describing the playlist as a whole; everything else belongs to the next segment
+const PLAYLIST_TAGS = [
+  '#EXTM3U',
+  '#EXT-X-VERSION',
+  '#EXT-X-TARGETDURATION',
+  '#EXT-X-MEDIA-SEQUENCE',
+  '#EXT-X-DISCONTINUITY-SEQUENCE',
+  '#EXT-X-PLAYLIST-TYPE',
+  '#EXT-X-INDEPENDENT-SEGMENTS',
+  '#EXT-X-ALLOW-CACHE',
+  '#EXT-X-START',
+  '#EXT-X-ENDLIST',
+];
+
+function toAbsolute(reference, baseUrl) {
+  try {
+    return new URL(reference, baseUrl).toString();
+  } catch (error) {
+    return reference;
+  }
+}
+
+// Segment identity without the query string, where CDNs usually put their tokens
+function segmentPath(uri) {
+  try {
+    const url = new URL(uri);
+    return `${url.origin}${url.pathname}`;
+  } catch (error) {
+    return uri;
+  }
+}
+
+function absolutizeUriAttribute(line, baseUrl) {
+  return line.replace(/URI="([^"]*)"/, (match, uri) => {
+    if (!uri || uri.startsWith('data:') || uri.startsWith('skd:')) return match;
+    return `URI="${toAbsolute(uri, baseUrl)}"`;
+  });
+}
+
+function readTagNumber(line) {
+  const value = Number(line.slice(line.indexOf(':') + 1));
+  return Number.isFinite(value) ? value : null;
+}
+
+function parseMediaPlaylist(body, playlistUrl) {
+  const playlist = {
+    version: null,
+    targetDuration: 0,
+    mediaSequence: 0,
+    discontinuitySequence: 0,
+    endList: false,
+    segments: [],
+  };
+
+  let pending = { tags: [], discontinuity: false };
+  let keyLine = null;
+  let mapLine = null;
+
+  body.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      if (line.startsWith('#EXT-X-VERSION:')) playlist.version = readTagNumber(line);
+      else if (line.startsWith('#EXT-X-TARGETDURATION:')) playlist.targetDuration = readTagNumber(line) || 0;
+      else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) playlist.mediaSequence = readTagNumber(line) || 0;
+      else if (line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE:')) playlist.discontinuitySequence = readTagNumber(line) || 0;
+      else if (line === '#EXT-X-ENDLIST') playlist.endList = true;
+      else if (line === '#EXT-X-DISCONTINUITY') pending.discontinuity = true;
+      // Keys and init sections apply to every following segment, so track the one in effect
+      else if (line.startsWith('#EXT-X-KEY:')) keyLine = absolutizeUriAttribute(line, playlistUrl);
+      else if (line.startsWith('#EXT-X-MAP:')) mapLine = absolutizeUriAttribute(line, playlistUrl);
+      else if (!PLAYLIST_TAGS.some((tag) => line.startsWith(tag))) pending.tags.push(line);
+      return;
+    }
+
+    const uri = toAbsolute(line, playlistUrl);
+    playlist.segments.push({
+      uri,
+      path: segmentPath(uri),
+      tags: pending.tags,
+      discontinuity: pending.discontinuity,
+      keyLine,
+      mapLine,
+    });
+    pending = { tags: [], discontinuity: false };
+  });
+
+  return playlist;
+}
+
+function parseMasterVariants(body, masterUrl) {
+  const variants = [];
+  let attributes = null;
+
+  body.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    if (!line) return;
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      attributes = line.slice('#EXT-X-STREAM-INF:'.length);
+      return;
+    }
+    if (line.startsWith('#')) return;
+    if (attributes !== null) {
+      variants.push({ attributes, url: toAbsolute(line, masterUrl) });
+      attributes = null;
+    }
+  });
+
+  return variants;
+}
+
+function readAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|,)${name}=(?:"([^"]*)"|([^,]*))`));
+  return match ? match[1] ?? match[2] : null;
+}
+
+// Alternate audio/subtitle renditions (EXT-X-MEDIA with a URI) in master playlist order
+function parseMasterRenditions(body, masterUrl) {
+  const renditions = [];
+  body.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    if (!line.startsWith('#EXT-X-MEDIA:')) return;
+    const attributes = line.slice('#EXT-X-MEDIA:'.length);
+    const uri = readAttribute(attributes, 'URI');
+    if (!uri) return;
+    renditions.push({
+      type: readAttribute(attributes, 'TYPE'),
+      language: readAttribute(attributes, 'LANGUAGE'),
+      name: readAttribute(attributes, 'NAME'),
+      url: toAbsolute(uri, masterUrl),
+    });
+  });
+  return renditions;
+}
+
+// Peak bandwidth (not AVERAGE-BANDWIDTH) and vertical resolution of an EXT-X-STREAM-INF attribute list
+function parseVariantQuality(attributes = '') {
+  const bandwidth = Number(attributes.match(/(?:^|,)BANDWIDTH=(\d+)/)?.[1]);
+  const height = Number(attributes.match(/(?:^|,)RESOLUTION=\d+x(\d+)/)?.[1]);
+  return { bandwidth: bandwidth || null, height: height || null };
+}
+
+function isMasterPlaylist(body = '') {
+  return body.includes('#EXT-X-STREAM-INF');
+}
+
+// Maintains a client-facing media playlist per key (channel + variant) with its own
+// media sequence numbering. Upstream playlists are merged in as they are polled; when
+// the upstream URL changes (re-resolution, token refresh) the new source's segments
+// are appended after an EXT-X-DISCONTINUITY instead of the client seeing a new stream.
+class HlsStitcher {
+  constructor({
+    windowSize = parseInt(process.env.HLS_STITCH_WINDOW_SEGMENTS) || DEFAULT_WINDOW_SIZE,
+    liveEdgeSegments = DEFAULT_LIVE_EDGE_SEGMENTS,
+    logger,
+  } = {}) {
+    this.windowSize = windowSize;
+    this.liveEdgeSegments = liveEdgeSegments;
+    this.logger = logger;
+    this.playlists = new Map();
+    // channelId -> { streamUrl, variants } for the master playlist currently being stitched
+    this.masters = new Map();
+    // key -> STREAM-INF attributes the client originally picked, to find the same rendition later
+    this.variantAttributes = new Map();
+    // key -> { type, language, name, position } of the alternate rendition the client picked
+    this.renditionIdentities = new Map();
+  }
+
+  has(key) {
+    return this.playlists.has(key);
+  }
+
+  // Whether url is a segment, key or init section one of the channel's stitched
+  // playlists currently lists, i.e. a URL this stitcher handed out to clients
+  listsUrl(channelId, url) {
+    const prefix = `${channelId}:`;
+    const uriOf = (line) => line && readAttribute(line.slice(line.indexOf(':') + 1), 'URI');
+    return Array.from(this.playlists.entries()).some(([key, state]) => key.startsWith(prefix) && (
+      state.segments.some((segment) => [segment.uri, uriOf(segment.keyLine), uriOf(segment.mapLine)].includes(url))
+    ));
+  }
+
+  update(key, body, playlistUrl, sourceKey) {
+    const parsed = parseMediaPlaylist(body, playlistUrl);
+    const upstreamLast = parsed.mediaSequence + parsed.segments.length - 1;
+    let state = this.playlists.get(key);
+
+    if (!state) {
+      state = {
+        segments: [],
+        nextSeq: parsed.mediaSequence,
+        discontinuitySequence: parsed.discontinuitySequence,
+        version: parsed.version,
+        targetDuration: parsed.targetDuration,
+        sourceKey,
+        lastUpstreamSeq: -1,
+        seenPaths: new Set(),
+        endList: false,
+      };
+      this.playlists.set(key, state);
+    }
+
+    // A new source URL, or an upstream whose numbering went backwards (encoder restart)
+    const switched = state.sourceKey !== sourceKey || (state.segments.length && upstreamLast < state.lastUpstreamSeq);
+
+    let fresh;
+    if (!switched) {
+      fresh = parsed.segments.filter((segment, index) => parsed.mediaSequence + index > state.lastUpstreamSeq);
+    } else {
+      const unseen = parsed.segments.filter((segment) => !state.seenPaths.has(segment.path));
+      const overlaps = unseen.length < parsed.segments.length;
+      // Without a shared segment we can't line the sources up, so join the new one near its live edge
+      fresh = overlaps ? unseen : unseen.slice(-this.liveEdgeSegments);
+      if (!overlaps && fresh.length && state.segments.length) {
+        fresh[0] = { ...fresh[0], discontinuity: true };
+      }
+      this.logger?.info('Stitching new upstream source into playlist', {
+        key,
+        overlaps,
+        appended: fresh.length,
+      });
+      state.sourceKey = sourceKey;
+    }
+
+    fresh.forEach((segment) => {
+      state.segments.push({ ...segment, seq: state.nextSeq });
+      state.nextSeq += 1;
+      state.seenPaths.add(segment.path);
+    });
+
+    state.lastUpstreamSeq = upstreamLast;
+    state.version = Math.max(state.version || 0, parsed.version || 0) || null;
+    state.targetDuration = Math.max(state.targetDuration, parsed.targetDuration);
+    state.endList = parsed.endList;
+
+    const window = Math.max(this.windowSize, parsed.segments.length);
+    while (state.segments.length > window) {
+      const removed = state.segments.shift();
+      state.seenPaths.delete(removed.path);
+      if (removed.discontinuity) state.discontinuitySequence += 1;
+    }
+
+    return state;
+  }
+
+  render(key) {
+    const state = this.playlists.get(key);
+    if (!state) return null;
+
+    const lines = ['#EXTM3U'];
+    if (state.version) lines.push(`#EXT-X-VERSION:${state.version}`);
+    lines.push(`#EXT-X-TARGETDURATION:${Math.ceil(state.targetDuration)}`);
+    lines.push(`#EXT-X-MEDIA-SEQUENCE:${state.segments[0]?.seq ?? state.nextSeq}`);
+    lines.push(`#EXT-X-DISCONTINUITY-SEQUENCE:${state.discontinuitySequence}`);
+
+    let keyLine = null;
+    let mapLine = null;
+    state.segments.forEach((segment) => {
+      if (segment.discontinuity) lines.push('#EXT-X-DISCONTINUITY');
+      if (segment.keyLine && segment.keyLine !== keyLine) lines.push(segment.keyLine);
+      if (segment.mapLine && (segment.mapLine !== mapLine || segment.discontinuity)) lines.push(segment.mapLine);
+      keyLine = segment.keyLine;
+      mapLine = segment.mapLine;
+      lines.push(...segment.tags, segment.uri);
+    });
+
+    if (state.endList) lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n');
+  }
+
+  setMaster(channelId, streamUrl, body) {
+    const variants = parseMasterVariants(body, streamUrl);
+    const renditions = parseMasterRenditions(body, streamUrl);
+    this.masters.set(channelId, { streamUrl, variants, renditions });
+    variants.forEach((variant, index) => {
+      const key = `${channelId}:${index}`;
+      if (!this.variantAttributes.has(key)) this.variantAttributes.set(key, variant.attributes);
+    });
+    renditions.forEach(({ type, language, name }, index) => {
+      const key = `${channelId}:media:${index}`;
+      const position = renditions.slice(0, index).filter((rendition) => rendition.type === type).length;
+      if (!this.renditionIdentities.has(key)) this.renditionIdentities.set(key, { type, language, name, position });
+    });
+    return variants;
+  }
+
+  // Upstream URL for the client's alternate rendition index in the current master: the
+  // same name, else the same language, else the same position among renditions of its
+  // type. Null if the master for streamUrl hasn't been fetched or offers no such type.
+  getRenditionUrl(channelId, streamUrl, index) {
+    const master = this.masters.get(channelId);
+    const identity = this.renditionIdentities.get(`${channelId}:media:${index}`);
+    if (!master || master.streamUrl !== streamUrl || !identity) return null;
+
+    const sameType = master.renditions.filter((rendition) => rendition.type === identity.type);
+    const match =
+      sameType.find((rendition) => rendition.name === identity.name && rendition.language === identity.language) ||
+      (identity.language && sameType.find((rendition) => rendition.language === identity.language)) ||
+      sameType[Math.min(identity.position, sameType.length - 1)];
+    return match?.url || null;
+  }
+
+  // Upstream URL for the client's variant index in the current master, or null if the
+  // master for streamUrl hasn't been fetched yet.
+  getVariantUrl(channelId, streamUrl, index) {
+    const master = this.masters.get(channelId);
+    if (!master || master.streamUrl !== streamUrl) return null;
+    // The source switched to a plain media playlist; it is its own only rendition
+    if (!master.variants.length) return streamUrl;
+
+    const attributes = this.variantAttributes.get(`${channelId}:${index}`);
+    const sameRendition = attributes && master.variants.find((variant) => variant.attributes === attributes);
+    if (sameRendition) return sameRendition.url;
+    return master.variants[Math.min(index, master.variants.length - 1)].url;
+  }
+
+  drop(channelId) {
+    const prefix = `${channelId}:`;
+    [this.playlists, this.variantAttributes, this.renditionIdentities].forEach((map) => {
+      Array.from(map.keys())
+        .filter((key) => key.startsWith(prefix))
+        .forEach((key) => map.delete(key));
+    });
+    this.masters.delete(channelId);
+  }
+
+  stats() {
+    return { playlists: this.playlists.size, masters: this.masters.size };
+  }
+}
+
+module.exports = {
+  HlsStitcher,
+  parseMediaPlaylist,
+  parseMasterVariants,
+  parseMasterRenditions,
+  parseVariantQuality,
+  isMasterPlaylist,
+};
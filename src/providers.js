@@ -0,0 +1,154 @@
+const { scrapeFrontPage, parseFrontPage, fetchHtml, fetchRenderedHtml } = require('./scraper');
+const { normalizeUrl } = require('./embedResolver');
+
+const DEFAULT_PROVIDER_URL = 'https://streamed.pk';
+
+// Provider factories take their config.json entry and return { name, type, fetchEvents(context) }.
+// fetchEvents resolves to raw events; normalizeEvent below turns them into the shape
+// buildChannels expects ({ title, category, startTime, sourceOptions, embedUrl, ... }).
+const providerFactories = new Map();
+
+function registerProvider(type, factory) {
+  if (!type || typeof factory !== 'function') {
+    throw new Error('registerProvider requires a type and a factory function');
+  }
+  providerFactories.set(type, factory);
+}
+
+registerProvider('streamed-api', (options) => {
+  const url = normalizeUrl(options.url || DEFAULT_PROVIDER_URL);
+  return {
+    url,
+    fetchEvents: ({ timezone, logger }) =>
+      scrapeFrontPage(url, timezone, logger, {
+        includeUpcoming: Boolean(options.includeUpcoming),
+        upcomingHours: Number(options.upcomingHours) || 6,
+      }),
+  };
+});
+
+registerProvider('html', (options) => {
+  const url = normalizeUrl(options.url || DEFAULT_PROVIDER_URL);
+  const renderWithJs =
+    typeof options.renderWithJs === 'boolean' ? options.renderWithJs : process.env.SCRAPER_RENDER_WITH_JS !== 'false';
+
+  return {
+    url,
+    fetchEvents: async ({ timezone, logger }) => {
+      const html = renderWithJs ? await fetchRenderedHtml(url, logger) : await fetchHtml(url, logger);
+      return parseFrontPage(html, timezone, logger, { url, includeUpcoming: Boolean(options.includeUpcoming) });
+    },
+  };
+});
+
+function normalizeEvent(event, providerName) {
+  if (!event || typeof event !== 'object') return null;
+
+  const sourceOptions = Array.isArray(event.sourceOptions) ? event.sourceOptions.filter((opt) => opt?.embedUrl) : [];
+  const embedUrl = event.embedUrl || sourceOptions[0]?.embedUrl || null;
+  // Upcoming events may not have streams yet; they are listed in the guide until one shows up
+  if (!embedUrl && event.live !== false) return null;
+
+  return {
+    ...event,
+    title: (event.title || '').toString().trim() || 'Untitled event',
+    category: (event.category || 'general').toString().trim().toLowerCase(),
+    startTime: event.startTime || null,
+    embedUrl,
+    live: event.live !== false,
+    sourceOptions,
+    qualityOptions: Array.isArray(event.qualityOptions) ? event.qualityOptions : [],
+    provider: providerName,
+  };
+}
+
+function createProviders(providerConfigs = [], { logger, defaultUrl } = {}) {
+  const configs = Array.isArray(providerConfigs) && providerConfigs.length
+    ? providerConfigs
+    : [{ type: 'streamed-api' }];
+
+  return configs
+    .filter((options) => options && options.enabled !== false)
+    .map((options, index) => {
+      const factory = providerFactories.get(options.type);
+      if (!factory) {
+        logger?.warn('Unknown event provider type, skipping', { type: options.type });
+        return null;
+      }
+
+      const provider = factory({ ...options, url: options.url || defaultUrl });
+      return {
+        ...provider,
+        type: options.type,
+        name: options.name || (index === 0 ? options.type : `${options.type}-${index + 1}`),
+      };
+    })
+    .filter(Boolean);
+}
+
+function eventMergeKey(event) {
+  const date = event.startTime ? new Date(event.startTime) : null;
+  // An unparseable start time only merges with other events lacking one
+  const start = date && !Number.isNaN(date.getTime()) ? date.toISOString() : '';
+  return `${event.category}|${event.title.toLowerCase()}|${start}`;
+}
+
+async function fetchEventsFromProviders(providers = [], { timezone = 'UTC', logger } = {}) {
+  const results = await Promise.allSettled(
+    providers.map((provider) => provider.fetchEvents({ timezone, logger })),
+  );
+
+  const merged = new Map();
+  let succeeded = 0;
+
+  results.forEach((result, index) => {
+    const provider = providers[index];
+    if (result.status === 'rejected') {
+      logger?.error('Event provider failed', {
+        provider: provider.name,
+        type: provider.type,
+        error: result.reason?.message,
+      });
+      return;
+    }
+
+    succeeded += 1;
+    const events = Array.isArray(result.value) ? result.value : [];
+    logger?.info('Event provider returned events', { provider: provider.name, count: events.length });
+
+    events.forEach((raw) => {
+      const event = normalizeEvent(raw, provider.name);
+      if (!event) return;
+
+      const key = eventMergeKey(event);
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, event);
+        return;
+      }
+
+      // Same event from another provider: keep the first as primary and add its sources as fallbacks
+      const known = new Set(existing.sourceOptions.map((opt) => opt.embedUrl));
+      event.sourceOptions
+        .filter((opt) => !known.has(opt.embedUrl))
+        .forEach((opt) => existing.sourceOptions.push(opt));
+      if (!existing.embedUrl && existing.sourceOptions.length) {
+        existing.embedUrl = existing.sourceOptions[0].embedUrl;
+      }
+      existing.live = existing.live || event.live;
+    });
+  });
+
+  if (providers.length && !succeeded) {
+    throw new Error('All event providers failed');
+  }
+
+  return Array.from(merged.values());
+}
+
+module.exports = {
+  registerProvider,
+  createProviders,
+  fetchEventsFromProviders,
+  normalizeEvent,
+};
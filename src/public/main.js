@@ -7,6 +7,7 @@ const state = {
   playlistReady: false,
   hydrating: false,
   logLevelFilter: 'all',
+  transcodingProfiles: [],
 };
 
 const logKeys = new Set();
@@ -115,6 +116,7 @@ async function fetchState() {
     state.config = data.config;
     state.playlistReady = data.playlistReady;
     state.hydrating = data.hydrating;
+    state.transcodingProfiles = data.transcodingProfiles || [];
     renderConfig();
     renderChannels();
     syncLogs(data.logs);
@@ -130,6 +132,29 @@ function renderConfig() {
   document.getElementById('categories').value = (state.config.categories || []).join(',');
   document.getElementById('interval').value = state.config.rebuildIntervalMinutes || '';
   document.getElementById('lifetime').value = state.config.lifetimeHours || '';
+  document.getElementById('deliveryMode').value = state.config.deliveryMode || 'proxy';
+  document.getElementById('lazyResolution').checked = Boolean(state.config.lazyResolution?.enabled);
+  document.getElementById('qualityPolicy').value = qualityPolicyValue(state.config.qualityPolicy) || 'all';
+  fillProfileSelect(document.getElementById('transcodeProfile'), state.config.transcodeProfile || 'copy');
+}
+
+function fillProfileSelect(select, current, defaultLabel) {
+  select.innerHTML = '';
+  const names = defaultLabel ? ['', ...state.transcodingProfiles] : state.transcodingProfiles;
+  names.forEach((name) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name || defaultLabel;
+    select.appendChild(option);
+  });
+  select.value = current;
+}
+
+// Maps a quality policy object onto the shorthand used by the quality selects
+function qualityPolicyValue(policy) {
+  if (!policy) return '';
+  if (policy.maxHeight && policy.mode === 'all' && !policy.maxBandwidth) return `${policy.maxHeight}p`;
+  return policy.mode || 'all';
 }
 
 // --- Channels ---
@@ -146,10 +171,23 @@ function renderChannels() {
 
   state.channels.forEach((channel) => {
     const node = template.content.cloneNode(true);
-    node.querySelector('.channel-title').textContent = `${channel.category} ${channel.id.split('-').pop()}`;
-    node.querySelector('.channel-meta').textContent = channel.title;
+    node.querySelector('.channel-title').textContent = channel.number != null
+      ? `${channel.number} · ${channel.category}`
+      : `${channel.category} ${channel.id.split('-').pop()}`;
+    const meta = channel.slotId ? `${channel.title} — ${channel.slotId}` : channel.title;
+    node.querySelector('.channel-meta').textContent = channel.viewers
+      ? `${meta} · ${channel.viewers} watching`
+      : meta;
+    const lastFailover = (channel.history || []).filter((entry) => entry.type === 'failover').pop();
+    if (lastFailover) {
+      node.querySelector('.channel-meta').title =
+        `Failed over ${new Date(lastFailover.at).toLocaleTimeString()}: ${lastFailover.reason}`;
+    }
 
     const sourceSelect = node.querySelector('.source');
+    const deliverySelect = node.querySelector('.delivery');
+    const qualitySelect = node.querySelector('.quality-policy');
+    const profileSelect = node.querySelector('.transcode-profile');
     const previewLink = node.querySelector('.preview-link');
     const previewPlayer = node.querySelector('.preview-player');
     const previewActions = node.querySelector('.preview-actions');
@@ -180,7 +218,73 @@ function renderChannels() {
       }
     });
 
-    const streamPath = `/hls/${encodeURIComponent(channel.id)}`;
+    deliverySelect.value = channel.deliveryMode || '';
+    deliverySelect.addEventListener('change', async (e) => {
+      const select = e.target;
+      select.disabled = true;
+      try {
+        const res = await fetch(`/api/channel/${channel.id}/delivery`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ mode: select.value || null }),
+        });
+        if (!res.ok) throw new Error('Failed to update delivery mode');
+        await fetchState();
+        clearError();
+      } catch (error) {
+        console.error('Failed to update delivery mode', error);
+        showError('Unable to update delivery mode. Please try again.');
+        select.value = channel.deliveryMode || '';
+      } finally {
+        select.disabled = false;
+      }
+    });
+
+    qualitySelect.value = qualityPolicyValue(channel.qualityPolicy);
+    qualitySelect.addEventListener('change', async (e) => {
+      const select = e.target;
+      select.disabled = true;
+      try {
+        const res = await fetch(`/api/channel/${channel.id}/quality-policy`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ policy: select.value || null }),
+        });
+        if (!res.ok) throw new Error('Failed to update quality policy');
+        await fetchState();
+        clearError();
+      } catch (error) {
+        console.error('Failed to update quality policy', error);
+        showError('Unable to update quality policy. Please try again.');
+        select.value = qualityPolicyValue(channel.qualityPolicy);
+      } finally {
+        select.disabled = false;
+      }
+    });
+
+    fillProfileSelect(profileSelect, channel.transcodeProfile || '', 'Default profile');
+    profileSelect.addEventListener('change', async (e) => {
+      const select = e.target;
+      select.disabled = true;
+      try {
+        const res = await fetch(`/api/channel/${channel.id}/profile`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ profile: select.value || null }),
+        });
+        if (!res.ok) throw new Error('Failed to update transcoding profile');
+        await fetchState();
+        clearError();
+      } catch (error) {
+        console.error('Failed to update transcoding profile', error);
+        showError('Unable to update transcoding profile. Please try again.');
+        select.value = channel.transcodeProfile || '';
+      } finally {
+        select.disabled = false;
+      }
+    });
+
+    const streamPath = `/hls/${encodeURIComponent(channel.id)}?proxy=1`;
     previewLink.textContent = 'Preview';
     previewPlayer?.classList.add('hidden');
 
@@ -249,7 +353,8 @@ function fillSelect(select, options, current) {
   options.forEach((opt) => {
     const option = document.createElement('option');
     option.value = opt.embedUrl;
-    option.textContent = opt.label || opt.embedUrl;
+    const label = opt.label || opt.embedUrl;
+    option.textContent = opt.score != null ? `${label} · score ${opt.score}` : label;
     if (opt.embedUrl === current) option.selected = true;
     select.appendChild(option);
   });
@@ -410,12 +515,24 @@ async function saveConfig(evt) {
     .filter(Boolean);
   const rebuildIntervalMinutes = Number(document.getElementById('interval').value);
   const lifetimeHours = Number(document.getElementById('lifetime').value);
+  const deliveryMode = document.getElementById('deliveryMode').value;
+  const lazyResolution = { enabled: document.getElementById('lazyResolution').checked };
+  const qualityPolicy = document.getElementById('qualityPolicy').value;
+  const transcodeProfile = document.getElementById('transcodeProfile').value;
 
   try {
     const res = await fetch('/api/config', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ categories, rebuildIntervalMinutes, lifetimeHours }),
+      body: JSON.stringify({
+        categories,
+        rebuildIntervalMinutes,
+        lifetimeHours,
+        deliveryMode,
+        lazyResolution,
+        qualityPolicy,
+        transcodeProfile,
+      }),
     });
     if (!res.ok) throw new Error('Failed to save configuration');
     await fetchState();
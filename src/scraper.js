@@ -813,7 +813,7 @@ async function parseFrontPage(html, timezoneName = 'UTC', logger, context = {})
     for (let index = 0; index < matchCardArray.length; index += 1) {
       const el = $(matchCardArray[index]);
       const isLive = el.find('span.live-badge').length > 0;
-      if (!isLive) {
+      if (!isLive && !context.includeUpcoming) {
         nonLiveSkipped += 1;
         continue;
       }
@@ -836,7 +836,7 @@ async function parseFrontPage(html, timezoneName = 'UTC', logger, context = {})
 
       if (!embedUrl || seen.has(embedUrl)) continue;
 
-      events.push({ title, category, embedUrl, sourceOptions, qualityOptions, startTime });
+      events.push({ title, category, embedUrl, sourceOptions, qualityOptions, startTime, live: isLive });
       seen.add(embedUrl);
       eventsFromMatchCards += 1;
     }
@@ -952,6 +952,22 @@ async function fetchStreamsForSource(baseUrl, sourceName, sourceId, logger) {
   return streams;
 }
 
+function buildImageUrl(baseUrl, value, kind = 'badge') {
+  if (!value || typeof value !== 'string') return null;
+  if (/^https?:\/\//i.test(value)) return value;
+  const base = (normalizeUrl(baseUrl || 'https://streamed.pk') || 'https://streamed.pk').replace(/\/$/, '');
+  if (value.startsWith('/')) return `${base}${value}`;
+  return kind === 'poster' ? `${base}/api/images/proxy/${value}.webp` : `${base}/api/images/badge/${value}.webp`;
+}
+
+function buildTeamsFromMatch(match, baseUrl) {
+  const toTeam = (team) =>
+    team?.name ? { name: team.name, badge: buildImageUrl(baseUrl, team.badge, 'badge') } : null;
+  const home = toTeam(match?.teams?.home);
+  const away = toTeam(match?.teams?.away);
+  return home || away ? { home, away } : null;
+}
+
 function buildEventsFromApi(matches = [], baseUrl, timezoneName = 'UTC', logger) {
   if (!Array.isArray(matches)) return [];
 
@@ -969,6 +985,8 @@ function buildEventsFromApi(matches = [], baseUrl, timezoneName = 'UTC', logger)
 
     const category = (match?.category || 'general').toString().toLowerCase();
     const startTime = match?.date ? dayjs(match.date).tz(timezoneName).toDate() : now.toDate();
+    const rawEnd = match?.endDate || match?.endTime || match?.end;
+    const endTime = rawEnd ? dayjs(rawEnd).tz(timezoneName).toDate() : null;
 
     events.push({
       title,
@@ -976,7 +994,12 @@ function buildEventsFromApi(matches = [], baseUrl, timezoneName = 'UTC', logger)
       embedUrl: null,
       sources,
       startTime,
+      endTime,
       baseUrl,
+      teams: buildTeamsFromMatch(match, baseUrl),
+      poster: buildImageUrl(baseUrl, match?.poster, 'poster'),
+      league: match?.league || match?.tournament || null,
+      popular: Boolean(match?.popular),
     });
   });
 
@@ -984,12 +1007,38 @@ function buildEventsFromApi(matches = [], baseUrl, timezoneName = 'UTC', logger)
   return events;
 }
 
-async function scrapeFrontPage(frontPageUrl, timezoneName = 'UTC', logger) {
+async function fetchUpcomingMatches(baseUrl, liveMatches, upcomingHours, logger) {
+  const liveIds = new Set(liveMatches.map((match) => match?.id).filter(Boolean));
+  const now = Date.now();
+  const horizon = now + upcomingHours * 60 * 60 * 1000;
+
+  try {
+    const all = await fetchMatchesFromApi(baseUrl, 'all', logger);
+    return all.filter((match) => {
+      if (!match?.date || (match.id && liveIds.has(match.id))) return false;
+      const start = dayjs(match.date).valueOf();
+      return start > now && start <= horizon;
+    });
+  } catch (error) {
+    // Upcoming matches are a nice-to-have; never let them break the live lineup
+    logger?.warn('Failed to fetch upcoming matches', { url: baseUrl, error: error.message });
+    return [];
+  }
+}
+
+async function scrapeFrontPage(frontPageUrl, timezoneName = 'UTC', logger, options = {}) {
   const normalizedUrl = normalizeUrl(frontPageUrl || 'https://streamed.pk');
+  const { includeUpcoming = false, upcomingHours = 6 } = options;
 
   try {
     const matches = await fetchMatchesFromApi(normalizedUrl, 'live', logger);
-    const preliminary = buildEventsFromApi(matches, normalizedUrl, timezoneName, logger);
+    const upcoming = includeUpcoming
+      ? await fetchUpcomingMatches(normalizedUrl, matches, upcomingHours, logger)
+      : [];
+    const preliminary = [
+      ...buildEventsFromApi(matches, normalizedUrl, timezoneName, logger).map((event) => ({ ...event, live: true })),
+      ...buildEventsFromApi(upcoming, normalizedUrl, timezoneName, logger).map((event) => ({ ...event, live: false })),
+    ];
     const hydrated = [];
 
     for (const event of preliminary) {
@@ -1026,19 +1075,25 @@ async function scrapeFrontPage(frontPageUrl, timezoneName = 'UTC', logger) {
         }
       }
 
-      if (!streamOptions.length) continue;
+      // Upcoming matches often have no streams yet; keep them so the guide can advertise them
+      if (!streamOptions.length && event.live) continue;
 
-      const primary = streamOptions[0];
+      const primary = streamOptions[0] || {};
 
       hydrated.push({
         title: event.title,
         category: event.category,
-        embedUrl: primary.embedUrl,
+        embedUrl: primary.embedUrl || null,
         streamUrl: null,
         sourceOptions: streamOptions,
         qualityOptions: [],
         startTime: event.startTime,
+        endTime: event.endTime,
         requestHeaders: primary.requestHeaders,
+        teams: event.teams,
+        poster: event.poster,
+        league: event.league,
+        live: event.live,
       });
     }
 
@@ -1057,16 +1112,59 @@ async function scrapeFrontPage(frontPageUrl, timezoneName = 'UTC', logger) {
   }
 }
 
-function createProgrammeFromEvent(event, channelId, lifetimeHours = 24, timezoneName = 'UTC') {
+// Typical broadcast length per category in minutes, used when the provider gives no end time
+const DEFAULT_PROGRAMME_DURATIONS = {
+  default: 180,
+  football: 120,
+  basketball: 150,
+  'american-football': 210,
+  hockey: 150,
+  baseball: 180,
+  'motor-sports': 120,
+  fight: 180,
+  tennis: 180,
+  rugby: 120,
+  afl: 150,
+  darts: 180,
+  golf: 300,
+  cricket: 480,
+};
+
+function resolveProgrammeDuration(category, durations = {}) {
+  const merged = { ...DEFAULT_PROGRAMME_DURATIONS, ...(durations || {}) };
+  const minutes = Number(merged[category] ?? merged.default);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_PROGRAMME_DURATIONS.default;
+}
+
+function createProgrammeFromEvent(event, channelId, lifetimeHours = 24, timezoneName = 'UTC', durations = {}) {
   const now = dayjs().tz(timezoneName);
   const start = event.startTime ? dayjs(event.startTime).tz(timezoneName) : now;
-  const stop = start.add(lifetimeHours, 'hour');
+  const end = event.endTime ? dayjs(event.endTime).tz(timezoneName) : null;
+
+  let stop = end && end.isValid() && end.isAfter(start)
+    ? end
+    : start.add(resolveProgrammeDuration(event.category, durations), 'minute');
+
+  // A programme never outlives the channel carrying it
+  const latest = start.add(lifetimeHours, 'hour');
+  if (stop.isAfter(latest)) stop = latest;
+
+  const home = event.teams?.home?.name;
+  const away = event.teams?.away?.name;
+  const matchup = home && away ? `${home} vs ${away}` : null;
+  const description =
+    event.description || [event.league, matchup || event.title, event.category].filter(Boolean).join(' · ');
+
   return {
     channelId,
     title: event.title,
     category: event.category,
     start: start.toDate(),
     stop: stop.toDate(),
+    subTitle: matchup && matchup !== event.title ? matchup : event.league || null,
+    description,
+    icon: event.poster || event.teams?.home?.badge || null,
+    live: Boolean(event.live),
   };
 }
 
@@ -1074,8 +1172,13 @@ module.exports = {
   parseFrontPage,
   scrapeFrontPage,
   createProgrammeFromEvent,
+  resolveProgrammeDuration,
+  DEFAULT_PROGRAMME_DURATIONS,
   buildDefaultStreamHeaders,
   buildEventsFromApi,
+  buildImageUrl,
   fetchMatchesFromApi,
   fetchStreamsForSource,
+  fetchHtml,
+  fetchRenderedHtml,
 };
@@ -0,0 +1,156 @@
+const DEFAULT_TTL_SECONDS = 30;
+const DEFAULT_MAX_MB = 256;
+const DEFAULT_MAX_ENTRY_MB = 16;
+const MB = 1024 * 1024;
+
+// Buffers a readable stream, giving up (resolving null) once it grows past limit so
+// endless progressive streams don't end up in memory.
+function collect(stream, limit) {
+  if (Buffer.isBuffer(stream)) return Promise.resolve(stream.length > limit ? null : stream);
+  if (typeof stream === 'string') return collect(Buffer.from(stream), limit);
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        stream.removeListener('data', onData);
+        chunks.length = 0;
+        resolve(null);
+        return;
+      }
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+    };
+
+    stream.on('data', onData);
+    stream.once('end', () => resolve(Buffer.concat(chunks)));
+    stream.once('error', reject);
+  });
+}
+
+// In-memory LRU of upstream proxy responses keyed by URL with a short TTL. Concurrent
+// requests for the same URL share one upstream fetch: the request that triggered it can
+// stream the body straight through while the others wait for the buffered copy.
+class SegmentCache {
+  constructor({
+    maxBytes = DEFAULT_MAX_MB * MB,
+    maxEntryBytes = DEFAULT_MAX_ENTRY_MB * MB,
+    ttlMs = DEFAULT_TTL_SECONDS * 1000,
+    logger,
+  } = {}) {
+    this.maxBytes = maxBytes;
+    this.maxEntryBytes = maxEntryBytes;
+    this.ttlMs = ttlMs;
+    this.logger = logger;
+    this.entries = new Map();
+    this.inflight = new Map();
+    this.bytes = 0;
+    this.counters = { hits: 0, misses: 0, coalesced: 0, evictions: 0 };
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+    // Re-insert so Map order stays least-recently-used first
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  set(key, entry) {
+    const size = entry.data?.length || 0;
+    if (!this.maxBytes || size > this.maxEntryBytes || size > this.maxBytes) return;
+
+    this.delete(key);
+    this.entries.set(key, { ...entry, expiresAt: Date.now() + this.ttlMs });
+    this.bytes += size;
+
+    for (const oldest of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this.delete(oldest);
+      this.counters.evictions += 1;
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.bytes -= entry.data?.length || 0;
+    this.entries.delete(key);
+  }
+
+  // loader resolves to { status, contentType, stream, cacheable }. onStream(upstream) is
+  // only called for the request that triggered the fetch; returning true means it piped
+  // upstream.stream itself and the result will carry streamed: true.
+  async fetch(key, loader, onStream) {
+    const cached = this.get(key);
+    if (cached) {
+      this.counters.hits += 1;
+      return { ...cached, cache: 'hit' };
+    }
+
+    const pending = this.inflight.get(key);
+    if (pending) {
+      this.counters.coalesced += 1;
+      const entry = await pending;
+      // Too large to share; fetch a private copy instead
+      if (!entry.data) return this.fetch(key, loader, onStream);
+      return { ...entry, cache: 'coalesced' };
+    }
+
+    this.counters.misses += 1;
+    let streamed = false;
+    const promise = (async () => {
+      try {
+        const upstream = await loader();
+        streamed = Boolean(onStream?.(upstream));
+        const data = await collect(upstream.stream, this.maxEntryBytes);
+        const { stream, cacheable, ...meta } = upstream;
+        const entry = { ...meta, data };
+        if (data && cacheable !== false && upstream.status >= 200 && upstream.status < 300) {
+          this.set(key, entry);
+        }
+        return entry;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+    this.inflight.set(key, promise);
+
+    const entry = await promise;
+    if (!entry.data && !streamed) {
+      throw new Error(`Upstream response exceeds ${this.maxEntryBytes} bytes and was not streamed`);
+    }
+    return { ...entry, cache: 'miss', streamed };
+  }
+
+  stats() {
+    return {
+      ...this.counters,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      inflight: this.inflight.size,
+    };
+  }
+}
+
+function createSegmentCacheFromEnv(logger) {
+  const ttlSeconds = parseInt(process.env.SEGMENT_CACHE_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+  const maxMb = process.env.SEGMENT_CACHE_MAX_MB !== undefined
+    ? parseInt(process.env.SEGMENT_CACHE_MAX_MB) || 0
+    : DEFAULT_MAX_MB;
+
+  logger?.info('Segment cache configured', { ttlSeconds, maxMb });
+  return new SegmentCache({ maxBytes: maxMb * MB, ttlMs: ttlSeconds * 1000, logger });
+}
+
+module.exports = {
+  SegmentCache,
+  createSegmentCacheFromEnv,
+};
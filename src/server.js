@@ -5,9 +5,13 @@ const bodyParser = require('body-parser');
 const fs = require('fs');
 const path = require('path');
 const Logger = require('./logger');
-const { loadConfig, saveConfig, defaultConfig } = require('./config');
+const { loadConfig, saveConfig, validateSlots, defaultConfig } = require('./config');
 const ChannelManager = require('./channelManager');
-const { scrapeFrontPage } = require('./scraper');
+const { DELIVERY_MODES, normalizeQualityPolicy } = ChannelManager;
+const { createProviders, fetchEventsFromProviders } = require('./providers');
+const { createChannelStoreFromEnv } = require('./channelStore');
+const { createSegmentCacheFromEnv } = require('./segmentCache');
+const { isMasterPlaylist } = require('./hlsStitcher');
 
 const PORT = process.env.PORT || 3005;
 const FRONT_PAGE_URL = process.env.FRONT_PAGE_URL || 'https://streamed.pk';
@@ -28,25 +32,38 @@ const channelManager = new ChannelManager({
   logger,
   frontPageUrl: FRONT_PAGE_URL,
   timezoneName: config.timezone || defaultConfig.timezone,
+  store: createChannelStoreFromEnv(logger),
+  channelNumbering: config.channelNumbering || defaultConfig.channelNumbering,
+  slots: config.slots || defaultConfig.slots,
+  programmeDurations: config.programmeDurations || defaultConfig.programmeDurations,
+  resolveLeadMinutes: config.resolveLeadMinutes ?? defaultConfig.resolveLeadMinutes,
+  deliveryMode: config.deliveryMode || defaultConfig.deliveryMode,
+  lazyResolution: config.lazyResolution || defaultConfig.lazyResolution,
+  qualityPolicy: config.qualityPolicy || defaultConfig.qualityPolicy,
+  transcodeProfile: config.transcodeProfile || defaultConfig.transcodeProfile,
+  transcodingProfiles: config.transcodingProfiles || defaultConfig.transcodingProfiles,
 });
 
+const providers = createProviders(config.providers, { logger, defaultUrl: FRONT_PAGE_URL });
+const segmentCache = createSegmentCacheFromEnv(logger);
+
 async function refreshEvents() {
   const timezone = config.timezone || defaultConfig.timezone;
-  const metaContext = { frontPageUrl: FRONT_PAGE_URL, timezone };
+  const metaContext = { providers: providers.map((provider) => provider.name), timezone };
 
   try {
     logger.info('Starting event refresh', metaContext);
 
-    const events = await scrapeFrontPage(FRONT_PAGE_URL, timezone, logger);
+    const events = await fetchEventsFromProviders(providers, { timezone, logger });
     const categoryCounts = events.reduce((acc, event) => {
       const category = (event.category || 'uncategorized').toString();
       acc[category] = (acc[category] || 0) + 1;
       return acc;
     }, {});
 
-    logger.info('Scraped front page events', { ...metaContext, totalEvents: events.length, categoryCounts });
+    logger.info('Fetched events from providers', { ...metaContext, totalEvents: events.length, categoryCounts });
     if (!events.length) {
-      logger.warn('No events parsed from front page', metaContext);
+      logger.warn('No events returned by providers', metaContext);
     }
 
     await channelManager.buildChannels(events, config.categories);
@@ -65,24 +82,30 @@ function scheduleEventLoop() {
   logger.info(`Scheduled event refresh every ${minutes} minutes`);
 }
 
-(async () => {
+async function start() {
+  // Clear work dirs a previous run left behind before anything can start a new job
+  await channelManager.transmuxer.startReaper();
+  // Serve still-valid streams from the previous run while the first scrape is in flight
+  await channelManager.restore();
   await refreshEvents();
   scheduleEventLoop();
   channelManager.runResolutionLoop();
   channelManager.runHealthCheckLoop();
-})();
+}
 
 function shutdown(signal) {
   logger.info(`Received ${signal}, shutting down gracefully`);
   channelManager.running = false;
   if (eventLoopTimer) clearInterval(eventLoopTimer);
-  channelManager.streamResolver.closeBrowser().then(() => {
-    process.exit(0);
-  });
+  channelManager.transmuxer.stopReaper();
+  channelManager
+    .persist()
+    .then(() => channelManager.streamResolver.closeBrowser())
+    .then(() => {
+      process.exit(0);
+    });
 }
 
-process.on('SIGTERM', () => shutdown('SIGTERM'));
-process.on('SIGINT', () => shutdown('SIGINT'));
 
 app.get('/api/state', (req, res) => {
   const statusCounts = channelManager.channels.reduce((acc, ch) => {
@@ -92,10 +115,25 @@ app.get('/api/state', (req, res) => {
 
   res.json({
     config,
-    channels: channelManager.channels,
+    channels: channelManager.channels.map((channel) => ({
+      ...channel,
+      viewers: channelManager.getViewerCount(channel.id),
+      sourceOptions: (channel.sourceOptions || []).map((option) => ({
+        ...option,
+        score: channelManager.sourceScores.getScore(option),
+      })),
+    })),
     logs: logger.getEntries(),
     lastRebuild,
     statusCounts,
+    slots: channelManager.slots,
+    segmentCache: segmentCache.stats(),
+    browserPool: channelManager.streamResolver.pool.stats(),
+    resolution: channelManager.getResolutionStats(),
+    sourceScores: channelManager.sourceScores.toJSON(),
+    transcodingProfiles: channelManager.transmuxer.getProfileNames(),
+    transmuxJobs: channelManager.transmuxer.getJobStats(),
+    transmuxQueue: channelManager.transmuxer.getAdmissionStats(),
   });
 });
 
@@ -126,7 +164,18 @@ app.get('/api/logs/stream', (req, res) => {
 });
 
 app.post('/api/config', (req, res) => {
-  const { categories, rebuildIntervalMinutes, lifetimeHours, timezone } = req.body;
+  const {
+    categories,
+    rebuildIntervalMinutes,
+    lifetimeHours,
+    timezone,
+    slots,
+    resolveLeadMinutes,
+    deliveryMode,
+    lazyResolution,
+    qualityPolicy,
+    transcodeProfile,
+  } = req.body;
 
   // Validate and sanitize input
   if (categories !== undefined) {
@@ -161,6 +210,75 @@ app.post('/api/config', (req, res) => {
     channelManager.timezone = timezone;
   }
 
+  if (resolveLeadMinutes !== undefined) {
+    const lead = Number(resolveLeadMinutes);
+    if (!Number.isFinite(lead) || lead < 0 || lead > 1440) {
+      return res.status(400).json({ error: 'resolveLeadMinutes must be between 0 and 1440' });
+    }
+    config.resolveLeadMinutes = lead;
+    channelManager.resolveLeadMinutes = lead;
+  }
+
+  if (deliveryMode !== undefined) {
+    if (!DELIVERY_MODES.includes(deliveryMode)) {
+      return res.status(400).json({ error: `deliveryMode must be one of ${DELIVERY_MODES.join(', ')}` });
+    }
+    config.deliveryMode = deliveryMode;
+    channelManager.deliveryMode = deliveryMode;
+  }
+
+  if (lazyResolution !== undefined) {
+    if (!lazyResolution || typeof lazyResolution !== 'object' || Array.isArray(lazyResolution)) {
+      return res.status(400).json({ error: 'lazyResolution must be an object' });
+    }
+    const merged = { ...defaultConfig.lazyResolution, ...config.lazyResolution, ...lazyResolution };
+    if (!Number.isFinite(merged.timeoutSeconds) || merged.timeoutSeconds < 1 || merged.timeoutSeconds > 300) {
+      return res.status(400).json({ error: 'lazyResolution.timeoutSeconds must be between 1 and 300' });
+    }
+    config.lazyResolution = { ...merged, enabled: Boolean(merged.enabled) };
+    channelManager.lazyResolution = config.lazyResolution;
+  }
+
+  if (qualityPolicy !== undefined) {
+    let normalized;
+    try {
+      normalized = normalizeQualityPolicy(qualityPolicy);
+    } catch (error) {
+      return res.status(400).json({ error: `qualityPolicy: ${error.message}` });
+    }
+    if (!normalized) {
+      return res.status(400).json({ error: 'qualityPolicy is required' });
+    }
+    config.qualityPolicy = normalized;
+    channelManager.qualityPolicy = normalized;
+  }
+
+  if (transcodeProfile !== undefined) {
+    if (!channelManager.transmuxer.hasProfile(transcodeProfile)) {
+      return res.status(400).json({
+        error: `transcodeProfile must be one of ${channelManager.transmuxer.getProfileNames().join(', ')}`,
+      });
+    }
+    config.transcodeProfile = transcodeProfile;
+    channelManager.transcodeProfile = transcodeProfile;
+  }
+
+  if (slots !== undefined) {
+    if (!slots || typeof slots !== 'object' || Array.isArray(slots)) {
+      return res.status(400).json({ error: 'slots must be an object' });
+    }
+    const counts = Object.values(slots.categories || {});
+    if (counts.some((count) => !Number.isInteger(count) || count < 0 || count > 100)) {
+      return res.status(400).json({ error: 'slot counts must be integers between 0 and 100' });
+    }
+    const slotsError = validateSlots({ ...defaultConfig.slots, ...slots });
+    if (slotsError) {
+      return res.status(400).json({ error: slotsError });
+    }
+    config.slots = { ...defaultConfig.slots, ...slots };
+    channelManager.slotConfig = config.slots;
+  }
+
   saveConfig(config, logger);
   scheduleEventLoop();
   res.json({ config });
@@ -183,6 +301,38 @@ app.post('/api/channel/:id/quality', async (req, res) => {
   res.json(channel);
 });
 
+app.post('/api/channel/:id/delivery', async (req, res) => {
+  const mode = req.body.mode || null;
+  if (mode !== null && !DELIVERY_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of ${DELIVERY_MODES.join(', ')} or null` });
+  }
+  const channel = await channelManager.setDeliveryMode(req.params.id, mode);
+  if (!channel) return res.status(404).json({ error: 'Channel not found' });
+  res.json(channel);
+});
+
+app.post('/api/channel/:id/quality-policy', async (req, res) => {
+  let channel;
+  try {
+    channel = await channelManager.setQualityPolicy(req.params.id, req.body.policy ?? null);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!channel) return res.status(404).json({ error: 'Channel not found' });
+  res.json(channel);
+});
+
+app.post('/api/channel/:id/profile', async (req, res) => {
+  let channel;
+  try {
+    channel = await channelManager.setTranscodeProfile(req.params.id, req.body.profile || null);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (!channel) return res.status(404).json({ error: 'Channel not found' });
+  res.json(channel);
+});
+
 app.get('/api/channel/:id/stream', (req, res) => {
   const channel = channelManager.getChannelById(req.params.id);
   if (!channel || !channel.streamUrl) {
@@ -191,6 +341,9 @@ app.get('/api/channel/:id/stream', (req, res) => {
   res.json({
     url: channel.streamUrl,
     type: channel.streamMode || 'hls',
+    deliveryMode: channelManager.getDeliveryMode(channel),
+    qualityPolicy: channelManager.getQualityPolicy(channel),
+    transcodeProfile: channelManager.getTranscodeProfile(channel),
     headers: channel.streamHeaders || {},
   });
 });
@@ -208,24 +361,116 @@ function buildProxyBaseUrl(req, channelId) {
   return `${req.protocol}://${req.get('host')}/hls/${encodeURIComponent(channelId)}`;
 }
 
+// Feeds proxied playback into failover detection; failover itself never fails the request
+function reportPlayback(channel, outcome) {
+  Promise.resolve(channelManager.recordPlaybackResult(channel, outcome)).catch((error) => {
+    logger.warn('Failover attempt failed', { channelId: channel?.id, message: error.message });
+  });
+}
+
+function reportPlaylist(channel, playlistUrl, body) {
+  Promise.resolve(channelManager.recordPlaylistProgress(channel, playlistUrl, body)).catch((error) => {
+    logger.warn('Failover attempt failed', { channelId: channel?.id, message: error.message });
+  });
+}
+
+function sendManifest(res, body) {
+  res.set('Content-Type', 'application/vnd.apple.mpegurl');
+  res.set('Cache-Control', 'no-cache');
+  return res.send(body);
+}
+
+// Stitched playlist key for a channel whose root stream is a media playlist
+function stitchKey(channel) {
+  return `${channel?.id}:main`;
+}
+
+function sendStitchedPlaylist(req, res, channel, key) {
+  // Stitched playlists hold absolute upstream URIs, so no manifest URL is needed to resolve them
+  const body = channelManager.hlsStitcher.render(key);
+  return sendManifest(res, channelManager.rewriteManifest(body, undefined, buildProxyBaseUrl(req, channel.id)));
+}
+
 async function handleHlsResponse(req, res, targetUrl, channel, isRootManifest = false) {
   try {
-    const response = await channelManager.fetchStream(channel, targetUrl);
+    const result = await segmentCache.fetch(
+      targetUrl,
+      async () => {
+        const response = await channelManager.fetchStream(channel, targetUrl, { stream: true });
+        const contentType = response.headers['content-type'] || 'application/octet-stream';
+        const manifest = isRootManifest || isHlsContentType(contentType) || targetUrl.includes('.m3u8');
+        return {
+          status: response.status,
+          contentType,
+          stream: response.data,
+          manifest,
+          // Playlists change every target duration; only media and keys are worth caching
+          cacheable: !manifest && !contentType.startsWith('text/'),
+        };
+      },
+      (upstream) => {
+        // Manifests and text bodies are buffered so they can be rewritten; everything else pipes through
+        if (upstream.manifest || upstream.contentType.startsWith('text/')) return false;
+        res.status(upstream.status);
+        res.set('Content-Type', upstream.contentType);
+        upstream.stream.pipe(res);
+        return true;
+      },
+    );
 
-    const contentType = response.headers['content-type'] || 'application/octet-stream';
-    const shouldRewrite = isRootManifest || isHlsContentType(contentType) || targetUrl.includes('.m3u8');
+    if (result.streamed) {
+      reportPlayback(channel, { ok: result.status < 400, status: result.status });
+      return undefined;
+    }
 
-    if (shouldRewrite) {
-      const manifest = response.data?.toString('utf8') || '';
+    // Some CDNs serve variant playlists as text/plain; sniff the body as a last resort.
+    // Error bodies are never rewritten, they go back with their status below.
+    const looksLikeManifest = result.data.subarray(0, 7).toString('utf8') === '#EXTM3U';
+    if (result.status < 400 && (result.manifest || looksLikeManifest)) {
+      const upstreamManifest = result.data.toString('utf8');
+      // Variants are filtered before stitching so stitched indexes match what clients were given
+      const manifest = isMasterPlaylist(upstreamManifest)
+        ? channelManager.applyQualityPolicy(channel, upstreamManifest)
+        : upstreamManifest;
       const proxyBase = buildProxyBaseUrl(req, channel.id);
-      const rewritten = channelManager.rewriteManifest(manifest, targetUrl, proxyBase);
-      res.set('Content-Type', 'application/vnd.apple.mpegurl');
-      return res.send(rewritten);
+      if (!isMasterPlaylist(manifest)) reportPlaylist(channel, targetUrl, manifest);
+      else if (isRootManifest) channelManager.recordManifestQuality(channel, upstreamManifest);
+
+      if (isRootManifest && channelManager.stitching) {
+        if (isMasterPlaylist(manifest)) {
+          // Variants point at stable stitched playlists instead of tokenized upstream URLs
+          channelManager.hlsStitcher.setMaster(channel.id, targetUrl, manifest);
+          return sendManifest(res, channelManager.rewriteManifest(manifest, targetUrl, proxyBase, {
+            variantUrl: (index) => `${proxyBase}/stitched/${index}.m3u8`,
+            renditionUrl: (index) => `${proxyBase}/stitched/media/${index}.m3u8`,
+          }));
+        }
+        channelManager.hlsStitcher.update(stitchKey(channel), manifest, targetUrl, targetUrl);
+        return sendStitchedPlaylist(req, res, channel, stitchKey(channel));
+      }
+
+      return sendManifest(res, channelManager.rewriteManifest(manifest, targetUrl, proxyBase));
     }
 
-    res.set('Content-Type', contentType);
-    return res.send(response.data);
+    reportPlayback(channel, { ok: result.status < 400, status: result.status });
+    res.status(result.status);
+    res.set('Content-Type', result.contentType);
+    return res.send(result.data);
   } catch (error) {
+    reportPlayback(channel, { ok: false, status: error.upstreamStatus || error.response?.status, reason: error.message });
+
+    // Keep viewers on the last stitched playlist while the channel re-resolves
+    if (isRootManifest && !res.headersSent && channelManager.hlsStitcher.has(stitchKey(channel))) {
+      logger.warn('Serving last stitched playlist after upstream error', { channelId: channel?.id, message: error.message });
+      return sendStitchedPlaylist(req, res, channel, stitchKey(channel));
+    }
+
+    // The body was already being piped; all we can do is cut the connection
+    if (res.headersSent) {
+      logger.warn('Upstream stream failed mid-response', { channelId: channel?.id, targetUrl, message: error.message });
+      return res.destroy();
+    }
+
     // Return 503 for upstream rejections so IPTV clients back off
     const status = error.upstreamStatus === 403 || error.upstreamStatus === 410 ? 503 : 502;
     logger.error('Failed to proxy HLS request', {
@@ -242,17 +487,42 @@ async function handleHlsResponse(req, res, targetUrl, channel, isRootManifest =
   }
 }
 
-async function serveTransmuxedManifest(req, res, channel) {
+// ?profile= picks a transcoding profile for this request; otherwise the channel's own applies
+function getRequestedProfile(req, channel) {
+  return req.query.profile || channelManager.getTranscodeProfile(channel);
+}
+
+function localBase(req, channel) {
+  return `${req.protocol}://${req.get('host')}/hls/${encodeURIComponent(channel.id)}/local`;
+}
+
+// For ladder profiles this is the generated master playlist; its rendition playlists are
+// served (and rewritten the same way) by the /local/:segment route
+async function serveTransmuxedManifest(req, res, channel, profile = getRequestedProfile(req, channel)) {
+  if (!channelManager.transmuxer.hasProfile(profile)) {
+    return res.status(400).send('Unknown transcoding profile');
+  }
+
   try {
-    const job = await channelManager.ensureTransmuxed(channel);
+    const job = await channelManager.ensureTransmuxed(channel, profile);
+    // ensureTransmuxed has already logged why
+    if (!job) return res.status(502).send('Failed to transmux stream');
     const manifestBody = await fs.promises.readFile(job.manifestPath, 'utf8');
-    const base = `${req.protocol}://${req.get('host')}/hls/${encodeURIComponent(channel.id)}/local`;
-    const rewritten = channelManager.rewriteLocalManifest(manifestBody, base);
+    const rewritten = channelManager.rewriteLocalManifest(
+      manifestBody,
+      localBase(req, channel),
+      `profile=${encodeURIComponent(profile)}`,
+    );
     res.set('Content-Type', 'application/vnd.apple.mpegurl');
     return res.send(rewritten);
   } catch (error) {
+    if (error.retryAfterSeconds) {
+      res.set('Retry-After', String(error.retryAfterSeconds));
+      return res.status(503).send('Transcoder busy, retry shortly');
+    }
     logger.error('Failed to serve transmuxed manifest', {
       channelId: channel?.id,
+      profile,
       targetUrl: channel?.streamUrl,
       message: error.message,
     });
@@ -260,21 +530,53 @@ async function serveTransmuxedManifest(req, res, channel) {
   }
 }
 
-app.get('/hls/:id', async (req, res) => {
+function trackViewer(req, channel) {
+  if (!channel) return;
+  channelManager.recordViewer(channel.id, `${req.ip}|${req.get('user-agent') || ''}`);
+}
+
+// Looks up the channel behind an entry-point request. In lazy mode an unresolved channel
+// is prioritized and the request held until it resolves or the timeout passes.
+async function findPlayableChannel(req) {
   const channel = channelManager.getChannelById(req.params.id);
+  if (!channel || !channelManager.lazyResolution.enabled || channelManager.hasPlayableStream(channel)) return channel;
+  return (await channelManager.requestResolution(channel)) || channel;
+}
+
+function sendUnavailable(req, res, channel) {
+  if (channel && channelManager.stitching && channelManager.hlsStitcher.has(stitchKey(channel))) {
+    return sendStitchedPlaylist(req, res, channel, stitchKey(channel));
+  }
+
+  // Known channel that just hasn't resolved yet: ask the client to retry rather than give up
+  if (channel && channelManager.lazyResolution.enabled && channel.status !== 'dead') {
+    res.set('Retry-After', '5');
+    return res.status(503).send('Stream is still resolving, retry shortly');
+  }
+  return res.status(404).send('Channel not found or stream unavailable');
+}
+
+app.get('/hls/:id', async (req, res) => {
+  const channel = await findPlayableChannel(req);
+  trackViewer(req, channel);
   if (!channel || !channel.streamUrl) {
-    return res.status(404).send('Channel not found or stream unavailable');
+    // Empty or not-yet-resolved slots play the static filler instead of failing;
+    // slot mode can't be enabled without one
+    if (channelManager.slotsEnabled() && channelManager.getSlot(req.params.id)) {
+      return res.redirect(302, channelManager.slotConfig.fillerUrl);
+    }
+    return sendUnavailable(req, res, channel);
   }
 
-  if (channel.streamMode === 'transmux') {
+  const mode = channelManager.getDeliveryMode(channel);
+
+  // Asking for a profile means asking for ffmpeg output, whatever the channel's delivery mode
+  if (mode === 'transmux' || req.query.profile) {
     return serveTransmuxedManifest(req, res, channel);
   }
 
-  // Direct mode: redirect the client to the stream URL so the browser/IPTV client
-  // fetches it directly. Many CDNs reject server-side proxy requests (different TLS
-  // fingerprint, missing browser session) but accept direct browser requests.
-  // Use ?proxy=1 to force server-side proxying if needed.
-  if (req.query.proxy !== '1') {
+  // ?proxy=1 upgrades redirect channels to proxying (the UI preview can't send CDN headers itself)
+  if (mode === 'redirect' && req.query.proxy !== '1') {
     return res.redirect(302, channel.streamUrl);
   }
 
@@ -282,34 +584,119 @@ app.get('/hls/:id', async (req, res) => {
 });
 
 app.get('/hls/:id/proxy', async (req, res) => {
-  const channel = channelManager.getChannelById(req.params.id);
   const targetUrl = req.query.url;
+  // Only the entry manifest (no url) may trigger on-demand resolution
+  const channel = targetUrl ? channelManager.getChannelById(req.params.id) : await findPlayableChannel(req);
+  trackViewer(req, channel);
 
-  if (!channel || !channel.streamUrl) {
+  if (!channel || (!targetUrl && !channel.streamUrl)) {
+    return targetUrl ? res.status(404).send('Channel not found or stream unavailable') : sendUnavailable(req, res, channel);
+  }
+
+  // While the channel re-resolves only URLs its stitched playlists still list are
+  // fetched, so they keep playing without turning this into an open proxy
+  if (targetUrl && !channel.streamUrl && !channelManager.hlsStitcher.listsUrl(channel.id, targetUrl)) {
     return res.status(404).send('Channel not found or stream unavailable');
   }
 
-  if (channel.streamMode === 'transmux') {
+  if (channelManager.getDeliveryMode(channel) === 'transmux') {
     return res.status(400).send('Channel is being transmuxed; direct proxy not available');
   }
 
+  // Without a url this is the proxy-mode entry point listed in the playlist
   if (!targetUrl) {
-    return res.status(400).send('Missing url parameter');
+    return handleHlsResponse(req, res, channel.streamUrl, channel, true);
   }
 
   return handleHlsResponse(req, res, targetUrl, channel, false);
 });
 
+// Stitched variant (kind 'variant') or alternate audio/subtitle rendition (kind 'media')
+async function serveStitchedPlaylist(req, res, kind) {
+  const channel = channelManager.getChannelById(req.params.id);
+  trackViewer(req, channel);
+  if (!channel) {
+    return res.status(404).send('Channel not found');
+  }
+
+  const index = parseInt(req.params.index, 10);
+  if (!Number.isInteger(index) || index < 0) {
+    return res.status(400).send(`Invalid ${kind === 'media' ? 'rendition' : 'variant'}`);
+  }
+
+  const stitcher = channelManager.hlsStitcher;
+  const key = kind === 'media' ? `${channel.id}:media:${index}` : `${channel.id}:${index}`;
+  const lookup = (streamUrl) => (kind === 'media'
+    ? stitcher.getRenditionUrl(channel.id, streamUrl, index)
+    : stitcher.getVariantUrl(channel.id, streamUrl, index));
+
+  try {
+    if (!channel.streamUrl) {
+      const err = new Error('Stream is being re-resolved');
+      err.upstreamStatus = 503;
+      throw err;
+    }
+
+    let variantUrl = lookup(channel.streamUrl);
+    if (!variantUrl) {
+      // First poll since (re-)resolution: learn the new master's variants
+      const master = await channelManager.fetchStream(channel, channel.streamUrl);
+      stitcher.setMaster(
+        channel.id,
+        channel.streamUrl,
+        channelManager.applyQualityPolicy(channel, master.data?.toString('utf8') || ''),
+      );
+      variantUrl = lookup(channel.streamUrl);
+      if (!variantUrl) throw new Error(`Current source has no ${kind === 'media' ? 'rendition' : 'variant'} ${index}`);
+    }
+
+    const response = await channelManager.fetchStream(channel, variantUrl);
+    const body = response.data?.toString('utf8') || '';
+    reportPlaylist(channel, variantUrl, body);
+    stitcher.update(key, body, variantUrl, channel.streamUrl);
+    return sendStitchedPlaylist(req, res, channel, key);
+  } catch (error) {
+    if (error.upstreamStatus !== 503) {
+      reportPlayback(channel, { ok: false, status: error.upstreamStatus || error.response?.status, reason: error.message });
+    }
+    if (stitcher.has(key)) {
+      logger.warn('Serving last stitched playlist after upstream error', { channelId: channel.id, kind, index, message: error.message });
+      return sendStitchedPlaylist(req, res, channel, key);
+    }
+
+    const status = [403, 410, 503].includes(error.upstreamStatus) ? 503 : 502;
+    logger.error('Failed to build stitched playlist', { channelId: channel.id, kind, index, message: error.message });
+    if (status === 503) res.set('Retry-After', '5');
+    return res.status(status).send('Stream unavailable');
+  }
+}
+
+app.get('/hls/:id/stitched/media/:index', (req, res) => serveStitchedPlaylist(req, res, 'media'));
+app.get('/hls/:id/stitched/:index', (req, res) => serveStitchedPlaylist(req, res, 'variant'));
+
+app.get('/hls/:id/local', async (req, res) => {
+  const channel = await findPlayableChannel(req);
+  trackViewer(req, channel);
+  if (!channel || !channel.streamUrl) {
+    return sendUnavailable(req, res, channel);
+  }
+
+  return serveTransmuxedManifest(req, res, channel);
+});
+
 app.get('/hls/:id/local/:segment', async (req, res) => {
   const channel = channelManager.getChannelById(req.params.id);
-  if (!channel || channel.streamMode !== 'transmux') {
+  trackViewer(req, channel);
+  if (!channel) {
     return res.status(404).send('Channel not found or not transmuxed');
   }
 
-  const job = channelManager.getTransmuxJob(req.params.id);
+  const profile = getRequestedProfile(req, channel);
+  const job = channelManager.getTransmuxJob(channel.id, profile);
   if (!job) {
     return res.status(404).send('Transmuxed content unavailable');
   }
+  channelManager.transmuxer.touchJob(job);
 
   const requested = decodeURIComponent(req.params.segment || '');
   const normalized = path.normalize(requested);
@@ -326,6 +713,13 @@ app.get('/hls/:id/local/:segment', async (req, res) => {
   }
 
   try {
+    if (resolved.endsWith('.m3u8')) {
+      const body = await fs.promises.readFile(resolved, 'utf8');
+      res.set('Content-Type', 'application/vnd.apple.mpegurl');
+      return res.send(
+        channelManager.rewriteLocalManifest(body, localBase(req, channel), `profile=${encodeURIComponent(profile)}`),
+      );
+    }
     const buffer = await fs.promises.readFile(resolved);
     res.set('Content-Type', 'video/mp2t');
     return res.send(buffer);
@@ -348,8 +742,14 @@ app.get('/api/logs', (req, res) => {
   res.json(logger.getEntries());
 });
 
-app.listen(PORT, () => {
-  logger.info(`Server listening on port ${PORT}`);
-});
+// Importing the module (as the route tests do) only builds the app
+if (require.main === module) {
+  start();
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  app.listen(PORT, () => {
+    logger.info(`Server listening on port ${PORT}`);
+  });
+}
 
-module.exports = app;
+module.exports = { app, channelManager, segmentCache };
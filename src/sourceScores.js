@@ -0,0 +1,138 @@
+const { parseMasterVariants, parseVariantQuality } = require('./hlsStitcher');
+
+// Weight of the newest sample in each moving average; older outcomes fade out gradually
+const DEFAULT_ALPHA = 0.2;
+// Score component used until a source has produced a sample for it
+const NEUTRAL = 0.5;
+const SLOW_RESOLVE_MS = 45000;
+const FULL_QUALITY_HEIGHT = 1080;
+const FULL_QUALITY_BANDWIDTH = 6000000;
+
+const WEIGHTS = {
+  resolveRate: 0.4,
+  healthRate: 0.3,
+  speed: 0.15,
+  quality: 0.15,
+};
+
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function ewma(previous, sample, alpha) {
+  return previous === null || previous === undefined ? sample : previous + alpha * (sample - previous);
+}
+
+// Scores are kept per provider source (e.g. "alpha") so they carry across matches;
+// options without a source name fall back to the embed host.
+function sourceKey(option = {}) {
+  if (option.source) return String(option.source).toLowerCase();
+  try {
+    return new URL(option.embedUrl).host || 'unknown';
+  } catch (error) {
+    return 'unknown';
+  }
+}
+
+// Highest advertised bandwidth and vertical resolution in a master playlist
+function parseManifestQuality(body = '') {
+  const quality = { bandwidth: null, height: null };
+  parseMasterVariants(body).forEach(({ attributes }) => {
+    const { bandwidth, height } = parseVariantQuality(attributes);
+    if (bandwidth) quality.bandwidth = Math.max(quality.bandwidth || 0, bandwidth);
+    if (height) quality.height = Math.max(quality.height || 0, height);
+  });
+  return quality;
+}
+
+// Tracks how each source actually performs — resolution success and speed, health
+// check pass rate and the quality its manifests advertise — and folds that into a
+// 0-100 score used to order a channel's source options.
+class SourceScoreboard {
+  constructor({ alpha = parseFloat(process.env.SOURCE_SCORE_ALPHA) || DEFAULT_ALPHA, logger } = {}) {
+    this.alpha = alpha;
+    this.logger = logger;
+    this.entries = new Map();
+  }
+
+  entry(option) {
+    const key = sourceKey(option);
+    if (!this.entries.has(key)) {
+      this.entries.set(key, {
+        resolveRate: null,
+        resolveMs: null,
+        healthRate: null,
+        bandwidth: null,
+        height: null,
+        samples: 0,
+        updatedAt: null,
+      });
+    }
+    const entry = this.entries.get(key);
+    entry.samples += 1;
+    entry.updatedAt = new Date().toISOString();
+    return entry;
+  }
+
+  recordResolution(option, ok, durationMs) {
+    const entry = this.entry(option);
+    entry.resolveRate = ewma(entry.resolveRate, ok ? 1 : 0, this.alpha);
+    // Failures mostly time out, so only successful resolutions say anything about speed
+    if (ok && Number.isFinite(durationMs)) entry.resolveMs = ewma(entry.resolveMs, durationMs, this.alpha);
+  }
+
+  recordHealth(option, ok) {
+    const entry = this.entry(option);
+    entry.healthRate = ewma(entry.healthRate, ok ? 1 : 0, this.alpha);
+  }
+
+  recordQuality(option, { bandwidth, height } = {}) {
+    if (!bandwidth && !height) return;
+    const entry = this.entry(option);
+    if (bandwidth) entry.bandwidth = ewma(entry.bandwidth, bandwidth, this.alpha);
+    if (height) entry.height = ewma(entry.height, height, this.alpha);
+  }
+
+  getScore(option) {
+    const entry = this.entries.get(sourceKey(option));
+    if (!entry) return null;
+
+    let quality = NEUTRAL;
+    if (entry.height) quality = clamp(entry.height / FULL_QUALITY_HEIGHT);
+    else if (entry.bandwidth) quality = clamp(entry.bandwidth / FULL_QUALITY_BANDWIDTH);
+
+    const components = {
+      resolveRate: entry.resolveRate ?? NEUTRAL,
+      healthRate: entry.healthRate ?? NEUTRAL,
+      speed: !Number.isFinite(entry.resolveMs) ? NEUTRAL : clamp(1 - entry.resolveMs / SLOW_RESOLVE_MS),
+      quality,
+    };
+    const score = Object.entries(WEIGHTS).reduce((sum, [name, weight]) => sum + components[name] * weight, 0);
+    return Math.round(score * 100);
+  }
+
+  // Best-scoring options first; unscored sources count as neutral and ties keep the scraper's order
+  rank(options = []) {
+    const neutral = Math.round(NEUTRAL * 100);
+    return options
+      .map((option, index) => ({ option, index, score: this.getScore(option) ?? neutral }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(({ option }) => option);
+  }
+
+  toJSON() {
+    return Object.fromEntries(this.entries);
+  }
+
+  load(entries = {}) {
+    this.entries = new Map(
+      Object.entries(entries || {}).filter(([, entry]) => entry && typeof entry === 'object'),
+    );
+  }
+}
+
+module.exports = {
+  SourceScoreboard,
+  sourceKey,
+  parseManifestQuality,
+};
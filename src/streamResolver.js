@@ -1,6 +1,7 @@
 'use strict';
 
 const { chromium: defaultChromium } = require('playwright');
+const { BrowserPool } = require('./browserPool');
 
 const DEFAULT_USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36';
@@ -91,6 +92,99 @@ function isHlsManifestUrl(url) {
   return /\.m3u8(\?.*)?$/i.test(url);
 }
 
+function isDashManifestUrl(url) {
+  if (!url || typeof url !== 'string') return false;
+  return /\.mpd(\?.*)?$/i.test(url);
+}
+
+// Classifies a network response as an HLS or DASH manifest by URL, falling back to
+// the Content-Type for manifests served from extensionless endpoints.
+function detectManifestType(url, contentType = '') {
+  if (isHlsManifestUrl(url) || /mpegurl/i.test(contentType)) return 'hls';
+  if (isDashManifestUrl(url) || /dash\+xml/i.test(contentType)) return 'dash';
+  return null;
+}
+
+const MANIFEST_CONTENT_TYPES = {
+  hls: 'application/vnd.apple.mpegurl',
+  dash: 'application/dash+xml',
+};
+
+// Query parameters CDNs commonly use for signed-URL expiry (unix seconds or ms)
+const EXPIRY_PARAMS = ['expires', 'expire', 'expiry', 'exp', 'e', 'validto', 'valid_until'];
+const EXPIRY_HEADERS = ['x-token-expires', 'x-stream-expires', 'x-expires'];
+const MAX_EXPIRY_HORIZON_MS = 30 * 24 * 60 * 60 * 1000;
+
+function toTimestampMs(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^\d{9,10}$/.test(String(value))) return Number(value) * 1000;
+  if (/^\d{12,13}$/.test(String(value))) return Number(value);
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function decodeJwtExpiry(token) {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return Number.isFinite(payload?.exp) ? payload.exp * 1000 : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseAmzExpiry(params) {
+  const date = params.get('X-Amz-Date');
+  const seconds = Number(params.get('X-Amz-Expires'));
+  const match = date && date.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  if (!match || !Number.isFinite(seconds)) return null;
+  const [, y, mo, d, h, mi, sec] = match.map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi, sec) + seconds * 1000;
+}
+
+// Best-effort expiry of a signed stream URL, from query params (expires=, exp=, e=,
+// X-Amz-Expires), Akamai-style exp= tokens, JWT exp claims anywhere in the URL, or
+// explicit expiry response headers. Returns the earliest plausible hint in ms, or null.
+function parseStreamExpiry(url, headers = {}, now = Date.now()) {
+  const hints = [];
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    parsed = null;
+  }
+
+  if (parsed) {
+    parsed.searchParams.forEach((value, key) => {
+      if (EXPIRY_PARAMS.includes(key.toLowerCase())) hints.push(toTimestampMs(value));
+    });
+    hints.push(parseAmzExpiry(parsed.searchParams));
+  }
+
+  // Akamai hdnts / __token__ values look like "st=...~exp=1700000000~acl=..."
+  const decoded = (() => {
+    try { return decodeURIComponent(url || ''); } catch (err) { return url || ''; }
+  })();
+  for (const match of decoded.matchAll(/(?:^|[~&?;/,])exp=(\d{9,13})/g)) {
+    hints.push(toTimestampMs(match[1]));
+  }
+  for (const match of decoded.matchAll(/eyJ[\w-]+\.eyJ[\w-]+\.[\w-]*/g)) {
+    hints.push(decodeJwtExpiry(match[0]));
+  }
+
+  EXPIRY_HEADERS.forEach((name) => {
+    if (headers?.[name] !== undefined) hints.push(toTimestampMs(headers[name]));
+  });
+
+  // Drop values that can't be real token expiries (already long gone or absurdly far out)
+  const plausible = hints.filter(
+    (value) => Number.isFinite(value) && value > now - 24 * 60 * 60 * 1000 && value < now + MAX_EXPIRY_HORIZON_MS
+  );
+  return plausible.length ? Math.min(...plausible) : null;
+}
+
 function pickCapturedHeaders(raw) {
   if (!raw) return {};
   const out = {};
@@ -121,9 +215,16 @@ function createDeferred() {
 }
 
 class StreamResolver {
-  constructor({ logger, chromium, detectTimeoutMs, wasmSettleMs, clickCount } = {}) {
+  constructor({ logger, chromium, pool, detectTimeoutMs, wasmSettleMs, clickCount } = {}) {
     this.logger = logger || console;
     this.chromium = chromium || defaultChromium;
+    this.pool =
+      pool ||
+      new BrowserPool({
+        chromium: this.chromium,
+        launchOptions: { headless: true, args: PLAYWRIGHT_LAUNCH_ARGS },
+        logger: this.logger,
+      });
     this.detectTimeoutMs =
       detectTimeoutMs != null
         ? detectTimeoutMs
@@ -142,19 +243,14 @@ class StreamResolver {
     const logger = this.logger;
     logger.info('Resolving stream', { embedUrl });
 
-    const deadline = Date.now() + this.detectTimeoutMs;
+    const contextOptions = {
+      userAgent: DEFAULT_USER_AGENT,
+      viewport: pickViewport(),
+    };
 
-    const browser = await this.chromium.launch({
-      headless: true,
-      args: PLAYWRIGHT_LAUNCH_ARGS,
-    });
-
-    let context;
-    try {
-      context = await browser.newContext({
-        userAgent: DEFAULT_USER_AGENT,
-        viewport: pickViewport(),
-      });
+    return this.pool.withContext(contextOptions, async (context) => {
+      // Start the clock once we hold a context so time queued for the pool doesn't count
+      const deadline = Date.now() + this.detectTimeoutMs;
       await context.addInitScript(ANTI_DETECTION_SCRIPT);
 
       const page = await context.newPage();
@@ -165,16 +261,19 @@ class StreamResolver {
       page.on('response', async (response) => {
         if (captured) return;
         const url = response.url();
-        if (!isHlsManifestUrl(url)) return;
+        const responseHeaders = typeof response.headers === 'function' ? response.headers() : {};
+        const manifestType = detectManifestType(url, responseHeaders?.['content-type']);
+        if (!manifestType) return;
         if (isAdUrl(url)) return;
         try {
           const rawHeaders = await response.request().allHeaders();
           captured = {
             streamUrl: url,
             headers: pickCapturedHeaders(rawHeaders),
-            contentType: 'application/vnd.apple.mpegurl',
+            contentType: MANIFEST_CONTENT_TYPES[manifestType],
+            expiresAt: parseStreamExpiry(url, responseHeaders),
           };
-          logger.info('Captured stream URL', { streamUrl: url });
+          logger.info('Captured stream URL', { streamUrl: url, manifestType });
           deferred.resolve(captured);
         } catch (err) {
           logger.warn('Failed to read request headers', { error: err.message });
@@ -202,12 +301,11 @@ class StreamResolver {
         clearTimeout(timeoutId);
         clicking.cancel();
       }
-    } finally {
-      if (context) {
-        try { await context.close(); } catch (err) { logger.warn('context close failed', { error: err.message }); }
-      }
-      try { await browser.close(); } catch (err) { logger.warn('browser close failed', { error: err.message }); }
-    }
+    });
+  }
+
+  async closeBrowser() {
+    await this.pool.close();
   }
 
   _runClickLoop(page, deferred) {
@@ -235,5 +333,8 @@ module.exports = {
   StreamResolver,
   isAdUrl,
   isHlsManifestUrl,
+  isDashManifestUrl,
+  detectManifestType,
+  parseStreamExpiry,
   pickCapturedHeaders,
 };
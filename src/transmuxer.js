@@ -2,13 +2,222 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const os = require('os');
+const { parseMediaPlaylist } = require('./hlsStitcher');
 
 const FFMPEG_MAX_CONCURRENT = parseInt(process.env.FFMPEG_MAX_CONCURRENT) || 3;
+const HLS_SEGMENT_SECONDS = 6;
+const FFMPEG_RESTART_BASE_MS = parseInt(process.env.FFMPEG_RESTART_BASE_MS) || 1000;
+const FFMPEG_RESTART_MAX_MS = parseInt(process.env.FFMPEG_RESTART_MAX_MS) || 30000;
+const FFMPEG_MAX_RESTARTS = parseInt(process.env.FFMPEG_MAX_RESTARTS) || 5;
+const FFMPEG_STALL_SECONDS = parseInt(process.env.FFMPEG_STALL_SECONDS) || 30;
+const RESTART_HISTORY_LIMIT = 20;
+const FFMPEG_QUEUE_SIZE = parseInt(process.env.FFMPEG_QUEUE_SIZE) || 10;
+const FFMPEG_QUEUE_TIMEOUT_SECONDS = parseInt(process.env.FFMPEG_QUEUE_TIMEOUT_SECONDS) || 20;
+const FFMPEG_IDLE_EVICT_SECONDS = parseInt(process.env.FFMPEG_IDLE_EVICT_SECONDS) || 30;
+const TRANSMUX_IDLE_TIMEOUT_SECONDS = parseInt(process.env.TRANSMUX_IDLE_TIMEOUT_SECONDS) || 120;
+const TRANSMUX_REAP_INTERVAL_SECONDS = parseInt(process.env.TRANSMUX_REAP_INTERVAL_SECONDS) || 30;
+// 0 disables the quota
+const TRANSMUX_DISK_QUOTA_MB = process.env.TRANSMUX_DISK_QUOTA_MB !== undefined
+  ? parseInt(process.env.TRANSMUX_DISK_QUOTA_MB) || 0
+  : 2048;
+const WORK_DIR_PREFIX = 'transmux-';
+const MB = 1024 * 1024;
+// How ffmpeg's HTTP input reports a token or auth rejection
+const INPUT_REJECTED = /(?:HTTP error|Server returned) (?:401|403|410)/i;
+// How the HLS muxer reports a var_stream_map audio entry the input has no stream for
+const AUDIO_UNMAPPED = /Unable to map stream at a:/i;
+
+// Built-in ffmpeg pipelines. config.transcodingProfiles can override these or add new ones:
+// video/audio are false (drop the track), { codec: 'copy' } or an encoder with its settings.
+const DEFAULT_PROFILES = {
+  copy: {
+    video: { codec: 'copy' },
+    audio: { codec: 'copy' },
+  },
+  'h264-720p': {
+    video: { codec: 'libx264', height: 720, bitrate: '3000k', preset: 'veryfast' },
+    audio: { codec: 'aac', bitrate: '128k', channels: 2 },
+  },
+  'h264-1080p': {
+    video: { codec: 'libx264', height: 1080, bitrate: '6000k', preset: 'veryfast' },
+    audio: { codec: 'aac', bitrate: '160k', channels: 2 },
+  },
+  'audio-only-aac': {
+    video: false,
+    audio: { codec: 'aac', bitrate: '128k', channels: 2 },
+  },
+  'low-bandwidth': {
+    video: { codec: 'libx264', height: 480, bitrate: '800k', preset: 'veryfast', fps: 25 },
+    audio: { codec: 'aac', bitrate: '64k', channels: 2 },
+  },
+  // A ladder profile encodes every rung from one decode and adds a master playlist
+  abr: {
+    ladder: [
+      { height: 1080, bitrate: '5000k', audioBitrate: '128k' },
+      { height: 720, bitrate: '2800k', audioBitrate: '128k' },
+      { height: 480, bitrate: '1200k', audioBitrate: '96k' },
+    ],
+    preset: 'veryfast',
+  },
+};
+
+async function directorySize(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+  const sizes = await Promise.all(
+    entries.map(async (entry) => {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return directorySize(entryPath);
+      return fs.promises.stat(entryPath).then((stats) => stats.size, () => 0);
+    }),
+  );
+  return sizes.reduce((total, size) => total + size, 0);
+}
+
+function jobKey(channelId, profile) {
+  return `${channelId}:${profile}`;
+}
+
+// Admission failures carry how long the client should wait before trying again
+function admissionError(message, retryAfterSeconds) {
+  const err = new Error(message);
+  err.retryAfterSeconds = retryAfterSeconds;
+  return err;
+}
+
+function buildVideoArgs(video) {
+  if (!video) return ['-vn'];
+  if (video.codec === 'copy') return ['-c:v', 'copy'];
+
+  const args = ['-c:v', video.codec || 'libx264'];
+  if (video.preset) args.push('-preset', video.preset);
+  if (video.bitrate) {
+    const kbps = parseInt(video.bitrate, 10);
+    args.push('-b:v', video.bitrate, '-maxrate', video.bitrate, '-bufsize', `${kbps * 2}k`);
+  }
+  // -2 keeps the width even, which libx264 requires
+  if (video.height) args.push('-vf', `scale=-2:${video.height}`);
+  if (video.fps) args.push('-r', String(video.fps));
+  args.push(
+    '-pix_fmt',
+    'yuv420p',
+    // Keyframe on every segment boundary so segments start cleanly
+    '-force_key_frames',
+    `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+  );
+  return args;
+}
+
+function buildAudioArgs(audio) {
+  if (!audio) return ['-an'];
+  // Segments are mpegts, which carries AAC as ADTS, so copied audio of any codec passes
+  // through unfiltered (aac_adtstoasc is only for MP4/FLV output)
+  if (audio.codec === 'copy') return ['-c:a', 'copy'];
+
+  const args = ['-c:a', audio.codec || 'aac'];
+  if (audio.bitrate) args.push('-b:a', audio.bitrate);
+  if (audio.channels) args.push('-ac', String(audio.channels));
+  if (audio.sampleRate) args.push('-ar', String(audio.sampleRate));
+  return args;
+}
+
+// Codec arguments for a profile; transcoding also regenerates timestamps, which fixes
+// inputs whose timestamps are broken beyond what copying can tolerate
+function buildCodecArgs(profile) {
+  return [...buildVideoArgs(profile.video), ...buildAudioArgs(profile.audio)];
+}
+
+// filter_complex graph, per-rung encoder settings and var_stream_map for a ladder profile.
+// Keyframes are forced on segment boundaries so players can switch rungs cleanly.
+// Without audio the renditions are video-only; the optional audio map keeps ffmpeg
+// from exiting on a silent input before that is known
+function buildLadderArgs(profile, { audio = true } = {}) {
+  const { ladder } = profile;
+  const splits = ladder.map((rung, index) => `[v${index}]`).join('');
+  const scales = ladder.map((rung, index) => `[v${index}]scale=-2:${rung.height}[v${index}out]`);
+  const args = ['-filter_complex', [`[0:v]split=${ladder.length}${splits}`, ...scales].join(';')];
+
+  ladder.forEach((rung, index) => {
+    const kbps = parseInt(rung.bitrate, 10);
+    args.push(
+      '-map',
+      `[v${index}out]`,
+      `-c:v:${index}`,
+      profile.videoCodec || 'libx264',
+      `-b:v:${index}`,
+      rung.bitrate,
+      `-maxrate:v:${index}`,
+      rung.bitrate,
+      `-bufsize:v:${index}`,
+      `${kbps * 2}k`,
+    );
+  });
+  if (audio) {
+    ladder.forEach((rung, index) => {
+      args.push('-map', '0:a:0?', `-c:a:${index}`, 'aac', `-b:a:${index}`, rung.audioBitrate || '128k');
+    });
+  }
+
+  args.push(
+    '-preset',
+    profile.preset || 'veryfast',
+    '-pix_fmt',
+    'yuv420p',
+    '-force_key_frames',
+    `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+    '-ac',
+    '2',
+    '-var_stream_map',
+    ladder.map((rung, index) => `v:${index},${audio ? `a:${index},` : ''}name:${rung.height}p`).join(' '),
+  );
+  return args;
+}
+
+// Where a job's files go. Ladders keep everything flat in the work dir too: one playlist
+// and segment series per rung plus master.m3u8, so local URLs stay one level deep.
+function buildOutputLayout(profile, workDir) {
+  if (profile.ladder?.length) {
+    return {
+      manifestPath: path.join(workDir, 'master.m3u8'),
+      playlistPath: path.join(workDir, 'stream_%v.m3u8'),
+      segmentPath: path.join(workDir, 'stream_%v_%03d.ts'),
+      outputArgs: ['-master_pl_name', 'master.m3u8'],
+    };
+  }
+  const manifestPath = path.join(workDir, 'index.m3u8');
+  return {
+    manifestPath,
+    playlistPath: manifestPath,
+    segmentPath: path.join(workDir, 'segment_%03d.ts'),
+    outputArgs: [],
+  };
+}
 
 class Transmuxer {
-  constructor({ logger }) {
+  // refreshInput(job, { forbidden }) may return { inputUrl, headers } for a restart
+  constructor({ logger, profiles = {}, refreshInput = null, diskQuotaBytes = TRANSMUX_DISK_QUOTA_MB * MB }) {
     this.logger = logger;
+    this.refreshInput = refreshInput;
     this.jobs = new Map();
+    // Starts in flight per job key, so concurrent viewers share one start
+    this.pending = new Map();
+    // Slots reserved by starts that have not produced a job yet
+    this.starting = 0;
+    this.queue = [];
+    this.queueTimer = null;
+    this.evicting = false;
+    this.diskQuotaBytes = diskQuotaBytes;
+    // Work dirs of starts still waiting for their first manifest
+    this.startingDirs = new Set();
+    this.reapTimer = null;
+    this.profiles = { ...DEFAULT_PROFILES, ...profiles };
+  }
+
+  hasProfile(name) {
+    return Object.prototype.hasOwnProperty.call(this.profiles, name);
+  }
+
+  getProfileNames() {
+    return Object.keys(this.profiles);
   }
 
   buildHeadersArgument(headers = {}) {
@@ -19,31 +228,196 @@ class Transmuxer {
     return headerLines.join('\r\n');
   }
 
-  async ensureJob(channelId, inputUrl, headers = {}) {
-    const existing = this.jobs.get(channelId);
+  // One ffmpeg job per channel and profile; viewers of the same pair share it.
+  // priority (the channel's viewer count) orders the admission queue.
+  async ensureJob(channelId, inputUrl, headers = {}, profileName = 'copy', { priority = 0 } = {}) {
+    if (!this.hasProfile(profileName)) {
+      throw new Error(`Unknown transcoding profile: ${profileName}`);
+    }
+
+    const key = jobKey(channelId, profileName);
+    const existing = this.jobs.get(key);
     if (existing && !this.isJobStale(existing)) {
-      existing.lastAccessed = Date.now();
-      return existing;
+      return this.touchJob(existing);
     }
 
     if (existing) {
-      this.logger?.info('Existing transmux job is stale, restarting', { channelId });
-      await this.cleanupJob(channelId);
+      this.logger?.info('Existing transmux job is stale, restarting', { channelId, profile: profileName });
+      await this.cleanupJob(channelId, profileName);
+    }
+
+    if (this.pending.has(key)) return this.pending.get(key);
+
+    const start = this.startJob(key, channelId, inputUrl, headers, profileName, priority).finally(() => {
+      this.pending.delete(key);
+    });
+    this.pending.set(key, start);
+    return start;
+  }
+
+  async startJob(key, channelId, inputUrl, headers, profileName, priority) {
+    await this.acquireSlot({ channelId, profile: profileName, priority });
+    try {
+      return await this.spawnJob(key, channelId, inputUrl, headers, profileName);
+    } finally {
+      // A started job now holds the slot itself; a failed start hands it on
+      this.starting -= 1;
+      this.drainQueue();
+    }
+  }
+
+  async spawnJob(key, channelId, inputUrl, headers, profileName) {
+    const profile = this.profiles[profileName];
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), WORK_DIR_PREFIX));
+    this.startingDirs.add(workDir);
+    const job = {
+      channelId,
+      profile: profileName,
+      inputUrl,
+      headers,
+      workDir,
+      ...buildOutputLayout(profile, workDir),
+      process: null,
+      ready: false,
+      failed: false,
+      stopped: false,
+      inputRejected: false,
+      hasAudio: true,
+      audioUnmapped: false,
+      restartAttempts: 0,
+      restartTimer: null,
+      watchTimer: null,
+      progress: { marker: null, at: Date.now() },
+      restarts: [],
+      createdAt: Date.now(),
+      lastAccessed: Date.now(),
+    };
+
+    this.logger?.info('Starting transmux job', { channelId, profile: profileName, inputUrl, workDir });
+    let child = this.spawnProcess(job, { startNumber: 0 });
+
+    try {
+      try {
+        await this.waitForManifest(job, child);
+      } catch (error) {
+        // A ladder only learns its input is silent when ffmpeg cannot map the audio renditions
+        if (!job.audioUnmapped || !job.hasAudio) throw error;
+        job.hasAudio = false;
+        this.logger?.info('Transmux input has no audio, starting the ladder without it', { channelId, profile: profileName });
+        child = this.spawnProcess(job, { startNumber: 0 });
+        await this.waitForManifest(job, child);
+      }
+    } catch (error) {
+      job.stopped = true;
+      if (child.exitCode === null && !child.killed) child.kill('SIGTERM');
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
+      throw error;
+    } finally {
+      this.startingDirs.delete(workDir);
+    }
+
+    job.ready = true;
+    this.jobs.set(key, job);
+    this.watchProgress(job);
+    return job;
+  }
+
+  activeCount() {
+    return [...this.jobs.values()].filter((job) => !job.failed).length + this.starting;
+  }
+
+  // Least recently accessed running job nobody has polled for FFMPEG_IDLE_EVICT_SECONDS
+  findEvictableJob(now = Date.now()) {
+    return (
+      [...this.jobs.values()]
+        .filter((job) => !job.failed && now - job.lastAccessed >= FFMPEG_IDLE_EVICT_SECONDS * 1000)
+        .sort((a, b) => a.lastAccessed - b.lastAccessed)[0] || null
+    );
+  }
+
+  // Resolves once the caller holds an ffmpeg slot. Without a free slot the request
+  // waits in a bounded queue; rejections carry retryAfterSeconds for the client.
+  acquireSlot({ channelId, profile, priority }) {
+    if (!this.queue.length && this.activeCount() < FFMPEG_MAX_CONCURRENT) {
+      this.starting += 1;
+      return Promise.resolve();
+    }
+
+    if (this.queue.length >= FFMPEG_QUEUE_SIZE) {
+      this.logger?.warn('Transmux queue is full', { channelId, profile, queued: this.queue.length });
+      return Promise.reject(admissionError('Transmux queue is full', FFMPEG_QUEUE_TIMEOUT_SECONDS));
     }
 
-    const activeJobs = [...this.jobs.values()].filter(j => j.process && !j.process.killed);
-    if (activeJobs.length >= FFMPEG_MAX_CONCURRENT) {
-      this.logger?.warn('FFmpeg concurrency limit reached', {
-        active: activeJobs.length,
+    return new Promise((resolve, reject) => {
+      const waiter = { channelId, profile, priority, resolve };
+      waiter.timer = setTimeout(() => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        this.logger?.warn('Timed out waiting for a transmux slot', { channelId, profile });
+        reject(admissionError('Timed out waiting for a transmux slot', HLS_SEGMENT_SECONDS));
+      }, FFMPEG_QUEUE_TIMEOUT_SECONDS * 1000);
+      waiter.timer.unref?.();
+
+      this.queue.push(waiter);
+      this.logger?.info('FFmpeg concurrency limit reached, queueing transmux job', {
+        channelId,
+        profile,
+        priority,
+        queued: this.queue.length,
         max: FFMPEG_MAX_CONCURRENT,
       });
-      return null;
+      this.drainQueue();
+    });
+  }
+
+  // Hands free slots to queued requests, most-watched channels first and then in
+  // arrival order. With no slot free an idle job is evicted; jobs go idle over time,
+  // so this re-runs every second while anything waits.
+  drainQueue() {
+    while (this.queue.length && this.activeCount() < FFMPEG_MAX_CONCURRENT) {
+      const waiter = this.queue.reduce((best, candidate) => (candidate.priority > best.priority ? candidate : best));
+      this.queue.splice(this.queue.indexOf(waiter), 1);
+      clearTimeout(waiter.timer);
+      this.starting += 1;
+      waiter.resolve();
     }
 
-    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transmux-'));
-    const manifestPath = path.join(workDir, 'index.m3u8');
-    const segmentPath = path.join(workDir, 'segment_%03d.ts');
-    const headerArg = this.buildHeadersArgument(headers);
+    if (this.queue.length && !this.evicting) {
+      const victim = this.findEvictableJob();
+      if (victim) {
+        this.evicting = true;
+        this.logger?.info('Evicting idle transmux job to make room', {
+          channelId: victim.channelId,
+          profile: victim.profile,
+          idleSeconds: Math.round((Date.now() - victim.lastAccessed) / 1000),
+        });
+        this.cleanupJob(victim.channelId, victim.profile).finally(() => {
+          this.evicting = false;
+          this.drainQueue();
+        });
+      }
+    }
+
+    if (this.queue.length && !this.queueTimer) {
+      this.queueTimer = setInterval(() => this.drainQueue(), 1000);
+      this.queueTimer.unref?.();
+    } else if (!this.queue.length && this.queueTimer) {
+      clearInterval(this.queueTimer);
+      this.queueTimer = null;
+    }
+  }
+
+  getAdmissionStats() {
+    return {
+      active: this.activeCount(),
+      max: FFMPEG_MAX_CONCURRENT,
+      queued: this.queue.length,
+      queueSize: FFMPEG_QUEUE_SIZE,
+    };
+  }
+
+  buildArgs(job, { startNumber, discontinuity = false }) {
+    const profile = this.profiles[job.profile];
+    const headerArg = this.buildHeadersArgument(job.headers);
 
     const args = [
       '-y',
@@ -62,76 +436,94 @@ class Transmuxer {
 
     args.push(
       '-i',
-      inputUrl,
-      // Try codec copy first, fallback handled by FFmpeg
-      '-c:v',
-      'copy',
-      '-c:a',
-      'copy',
-      // Bypass codec issues
-      '-bsf:a',
-      'aac_adtstoasc',
+      job.inputUrl,
+      ...(profile.ladder?.length ? buildLadderArgs(profile, { audio: job.hasAudio }) : buildCodecArgs(profile)),
       '-f',
       'hls',
       // Longer segments for stability (6s instead of 4s)
       '-hls_time',
-      '6',
+      String(HLS_SEGMENT_SECONDS),
       // Larger playlist for better buffering (12 segments = ~72s buffer)
       '-hls_list_size',
       '12',
-      // Improved flags: removed delete_segments, added program_date_time
+      // Segments that leave the playlist are deleted so a work dir stays a fixed size.
+      // A restarted process appends to the old playlist behind a discontinuity.
       '-hls_flags',
-      'append_list+independent_segments+program_date_time+temp_file',
-      // Allow segments to persist for DVR-like behavior
+      `delete_segments+append_list+independent_segments+program_date_time+temp_file${discontinuity ? '+discont_start' : ''}`,
+      // Keep a few expired segments around for clients still fetching them
       '-hls_delete_threshold',
       '3',
-      '-hls_playlist_type',
-      'event',
       '-hls_segment_type',
       'mpegts',
+      ...job.outputArgs,
       '-hls_segment_filename',
-      segmentPath,
+      job.segmentPath,
       '-start_number',
-      '0',
-      manifestPath,
+      String(startNumber),
+      job.playlistPath,
     );
+    return args;
+  }
 
-    this.logger?.info('Starting transmux job', { channelId, inputUrl, workDir });
-
-    const child = spawn('ffmpeg', args);
+  spawnProcess(job, options) {
+    const child = spawn('ffmpeg', this.buildArgs(job, options));
+    job.process = child;
 
     child.stderr.on('data', (data) => {
+      const message = data.toString();
+      if (INPUT_REJECTED.test(message)) job.inputRejected = true;
+      if (AUDIO_UNMAPPED.test(message)) job.audioUnmapped = true;
       this.logger?.debug('Transmuxer stderr', {
-        channelId,
-        message: data.toString(),
+        channelId: job.channelId,
+        profile: job.profile,
+        message,
       });
     });
 
-    const readyPromise = new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        clearPollTimer();
-        reject(new Error('Timed out waiting for transmux manifest'));
-      }, 15000);
+    // Only the supervisor's current process may trigger a restart; replaced and
+    // stopped processes exit quietly
+    child.on('exit', (code, signal) => {
+      if (!job.ready || job.stopped || job.process !== child) return;
+      this.scheduleRestart(job, { reason: job.inputRejected ? 'input rejected' : 'exited', code, signal });
+    });
+    child.on('error', (error) => {
+      if (!job.ready || job.stopped || job.process !== child) return;
+      this.scheduleRestart(job, { reason: `spawn error: ${error.message}` });
+    });
+
+    return child;
+  }
 
+  waitForManifest(job, child) {
+    const { channelId, manifestPath } = job;
+    return new Promise((resolve, reject) => {
+      // The poller checks this after every stat, so it stops once the wait is over
+      let settled = false;
       let pollTimer;
 
-      const clearPollTimer = () => {
-        if (pollTimer) {
-          clearTimeout(pollTimer);
-          pollTimer = null;
-        }
+      const settle = () => {
+        settled = true;
+        clearTimeout(timeout);
+        clearTimeout(pollTimer);
+        pollTimer = null;
       };
 
+      const timeout = setTimeout(() => {
+        settle();
+        reject(new Error('Timed out waiting for transmux manifest'));
+      }, 15000);
+
       const checkReady = async () => {
         try {
           const stats = await fs.promises.stat(manifestPath);
+          if (settled) return;
           if (stats.size > 0) {
-            clearTimeout(timeout);
-            clearPollTimer();
+            settle();
             resolve(true);
             return;
           }
         } catch (error) {
+          if (settled) return;
           this.logger?.debug('Polling for manifest file failed (will retry)', {
             channelId,
             manifestPath,
@@ -145,75 +537,281 @@ class Transmuxer {
       checkReady();
 
       child.on('error', (error) => {
-        clearTimeout(timeout);
-        clearPollTimer();
+        settle();
         reject(error);
       });
 
       child.on('exit', (code, signal) => {
         if (code !== 0) {
-          clearTimeout(timeout);
-          clearPollTimer();
+          settle();
           reject(new Error(`ffmpeg exited with code ${code || signal}`));
         }
       });
     });
+  }
+
+  // Sequence number the next segment should get: media sequence plus segments listed,
+  // taken across every rendition playlist so a restart never reuses a segment name
+  async readNextSequence(job) {
+    let playlists = [job.playlistPath];
+    if (job.playlistPath !== job.manifestPath) {
+      const files = await fs.promises.readdir(job.workDir).catch(() => []);
+      playlists = files.filter((file) => /^stream_.+\.m3u8$/.test(file)).map((file) => path.join(job.workDir, file));
+    }
 
-    await readyPromise;
+    const sequences = await Promise.all(
+      playlists.map(async (file) => {
+        try {
+          const playlist = parseMediaPlaylist(await fs.promises.readFile(file, 'utf8'));
+          return playlist.mediaSequence + playlist.segments.length;
+        } catch (error) {
+          return 0;
+        }
+      }),
+    );
+    return Math.max(0, ...sequences);
+  }
 
-    const job = {
-      channelId,
-      inputUrl,
-      workDir,
-      manifestPath,
-      segmentPath,
-      process: child,
-      createdAt: Date.now(),
-      lastAccessed: Date.now(),
-    };
+  watchProgress(job) {
+    const intervalMs = Math.max(1000, Math.round((FFMPEG_STALL_SECONDS * 1000) / 3));
+    job.watchTimer = setInterval(() => {
+      this.checkProgress(job).catch((error) => {
+        this.logger?.warn('Transmux progress check failed', { channelId: job.channelId, error: error.message });
+      });
+    }, intervalMs);
+    job.watchTimer.unref?.();
+  }
+
+  // A running ffmpeg whose playlist has not gained a segment for FFMPEG_STALL_SECONDS
+  // is hung on its input; new segments also mean a previous restart worked
+  async checkProgress(job, now = Date.now()) {
+    if (!job.process || job.stopped || job.failed) return;
+
+    const marker = await this.readNextSequence(job);
+    if (marker !== job.progress.marker) {
+      job.progress = { marker, at: now };
+      job.restartAttempts = 0;
+      return;
+    }
+
+    if (now - job.progress.at >= FFMPEG_STALL_SECONDS * 1000) {
+      this.scheduleRestart(job, { reason: job.inputRejected ? 'input rejected' : 'stalled' });
+    }
+  }
+
+  recordRestart(job, entry) {
+    job.restarts.push({ at: new Date().toISOString(), ...entry });
+    if (job.restarts.length > RESTART_HISTORY_LIMIT) {
+      job.restarts.splice(0, job.restarts.length - RESTART_HISTORY_LIMIT);
+    }
+  }
+
+  // Replaces a dead or stalled ffmpeg after an exponential backoff. Attempts reset once
+  // the job makes progress again; after FFMPEG_MAX_RESTARTS in a row the job is failed
+  // so the next ensureJob starts over.
+  scheduleRestart(job, { reason, code = null, signal = null }) {
+    if (job.restartTimer || job.stopped || job.failed) return;
+
+    const previous = job.process;
+    job.process = null;
+    if (previous && previous.exitCode === null && !previous.killed) previous.kill('SIGTERM');
+
+    if (job.restartAttempts >= FFMPEG_MAX_RESTARTS) {
+      job.failed = true;
+      clearInterval(job.watchTimer);
+      this.recordRestart(job, { reason, code, signal, gaveUp: true });
+      this.logger?.error('Transmux job keeps failing, giving up', {
+        channelId: job.channelId,
+        profile: job.profile,
+        attempts: job.restartAttempts,
+        reason,
+      });
+      this.drainQueue();
+      return;
+    }
+
+    const delayMs = Math.min(FFMPEG_RESTART_MAX_MS, FFMPEG_RESTART_BASE_MS * 2 ** job.restartAttempts);
+    job.restartAttempts += 1;
+    this.logger?.warn('Transmux job died, restarting', {
+      channelId: job.channelId,
+      profile: job.profile,
+      reason,
+      code,
+      signal,
+      attempt: job.restartAttempts,
+      delayMs,
+    });
+
+    job.restartTimer = setTimeout(() => {
+      job.restartTimer = null;
+      this.restartJob(job, { reason, code, signal }).catch((error) => {
+        this.logger?.error('Failed to restart transmux job', { channelId: job.channelId, error: error.message });
+        this.scheduleRestart(job, { reason: `restart failed: ${error.message}` });
+      });
+    }, delayMs);
+    job.restartTimer.unref?.();
+  }
+
+  async restartJob(job, { reason, code, signal }) {
+    const forbidden = job.inputRejected;
+    job.inputRejected = false;
+
+    // Let the owner swap in a fresh upstream URL, re-resolving the channel when it 403'd
+    let inputChanged = false;
+    if (this.refreshInput) {
+      const input = await this.refreshInput(job, { forbidden });
+      if (job.stopped) return;
+      if (input?.inputUrl && input.inputUrl !== job.inputUrl) {
+        job.inputUrl = input.inputUrl;
+        job.headers = input.headers || {};
+        inputChanged = true;
+      }
+    }
+
+    const startNumber = await this.readNextSequence(job);
+    if (job.stopped) return;
+
+    this.recordRestart(job, { reason, code, signal, startNumber, inputChanged });
+    this.spawnProcess(job, { startNumber, discontinuity: true });
+    job.progress = { marker: startNumber, at: Date.now() };
+  }
+
+  getJobStats() {
+    return [...this.jobs.values()].map((job) => ({
+      channelId: job.channelId,
+      profile: job.profile,
+      status: job.failed ? 'failed' : job.process ? 'running' : 'restarting',
+      createdAt: new Date(job.createdAt).toISOString(),
+      lastAccessed: new Date(job.lastAccessed).toISOString(),
+      diskBytes: job.diskBytes ?? null,
+      restarts: job.restarts,
+    }));
+  }
+
+  getJob(channelId, profileName = 'copy') {
+    return this.jobs.get(jobKey(channelId, profileName));
+  }
 
-    this.jobs.set(channelId, job);
+  // Manifest and segment requests keep a job alive
+  touchJob(job) {
+    job.lastAccessed = Date.now();
     return job;
   }
 
-  getJob(channelId) {
-    return this.jobs.get(channelId);
+  // Clears work dirs a previous run left behind, then reaps on an interval
+  async startReaper() {
+    await this.removeOrphanedDirs();
+    if (this.reapTimer) clearInterval(this.reapTimer);
+    this.reapTimer = setInterval(() => {
+      this.reap().catch((error) => this.logger?.warn('Transmux reaper failed', { error: error.message }));
+    }, TRANSMUX_REAP_INTERVAL_SECONDS * 1000);
+    this.reapTimer.unref?.();
   }
 
-  isJobStale(job) {
-    if (!job || !job.process) return true;
+  stopReaper() {
+    clearInterval(this.reapTimer);
+    this.reapTimer = null;
+  }
 
-    const { exitCode, signalCode, killed } = job.process;
-    if (exitCode !== null || signalCode || killed) {
-      return true;
+  async removeOrphanedDirs(tmpDir = os.tmpdir()) {
+    const entries = await fs.promises.readdir(tmpDir, { withFileTypes: true }).catch(() => []);
+    // Taken after the listing so a start that created its dir meanwhile is still covered
+    const owned = new Set([...this.jobs.values()].map((job) => job.workDir).concat([...this.startingDirs]));
+    const orphans = entries
+      .filter((entry) => entry.isDirectory() && entry.name.startsWith(WORK_DIR_PREFIX))
+      .map((entry) => path.join(tmpDir, entry.name))
+      .filter((dir) => !owned.has(dir));
+
+    await Promise.all(orphans.map((dir) => fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {})));
+    if (orphans.length) this.logger?.info('Removed orphaned transmux directories', { count: orphans.length, tmpDir });
+    return orphans.length;
+  }
+
+  // Stops jobs nobody has requested for TRANSMUX_IDLE_TIMEOUT_SECONDS and jobs the
+  // supervisor gave up on, then stops the least recently used jobs until the work
+  // dirs fit the disk quota
+  async reap(now = Date.now()) {
+    const idle = [...this.jobs.values()].filter(
+      (job) => job.failed || now - job.lastAccessed > TRANSMUX_IDLE_TIMEOUT_SECONDS * 1000,
+    );
+    for (const job of idle) {
+      this.logger?.info('Reaping idle transmux job', {
+        channelId: job.channelId,
+        profile: job.profile,
+        idleSeconds: Math.round((now - job.lastAccessed) / 1000),
+        failed: job.failed,
+      });
+      await this.cleanupJob(job.channelId, job.profile);
     }
 
-    // Check if job hasn't been accessed in the last 10 minutes
-    const staleThresholdMs = 10 * 60 * 1000;
-    if (Date.now() - job.lastAccessed > staleThresholdMs) {
+    const jobs = [...this.jobs.values()];
+    await Promise.all(
+      jobs.map(async (job) => {
+        job.diskBytes = await directorySize(job.workDir);
+      }),
+    );
+    if (!this.diskQuotaBytes) return;
+
+    let totalBytes = jobs.reduce((total, job) => total + job.diskBytes, 0);
+    const byAccess = jobs.sort((a, b) => a.lastAccessed - b.lastAccessed);
+    for (const job of byAccess) {
+      if (totalBytes <= this.diskQuotaBytes) break;
+      this.logger?.warn('Transmux disk quota exceeded, stopping job', {
+        channelId: job.channelId,
+        profile: job.profile,
+        totalMb: Math.round(totalBytes / MB),
+        quotaMb: Math.round(this.diskQuotaBytes / MB),
+      });
+      totalBytes -= job.diskBytes;
+      await this.cleanupJob(job.channelId, job.profile);
+    }
+  }
+
+  // Dead processes are the supervisor's business; only a job it gave up on is stale
+  isJobStale(job) {
+    if (!job || job.failed) return true;
+
+    // Idle jobs the reaper has not got to yet
+    if (Date.now() - job.lastAccessed > TRANSMUX_IDLE_TIMEOUT_SECONDS * 1000) {
       return true;
     }
 
     return false;
   }
 
-  async cleanupJob(channelId) {
-    const job = this.jobs.get(channelId);
+  async cleanupJob(channelId, profileName = 'copy') {
+    const key = jobKey(channelId, profileName);
+    const job = this.jobs.get(key);
     if (!job) return;
 
+    job.stopped = true;
+    clearTimeout(job.restartTimer);
+    clearInterval(job.watchTimer);
     if (job.process && !job.process.killed) {
       job.process.kill('SIGTERM');
     }
 
     try {
       await fs.promises.rm(job.workDir, { recursive: true, force: true });
-      this.logger?.info('Cleaned up transmux job', { channelId, workDir: job.workDir });
+      this.logger?.info('Cleaned up transmux job', { channelId, profile: profileName, workDir: job.workDir });
     } catch (error) {
       this.logger?.warn('Failed to cleanup transmux job directory', { channelId, error: error.message });
     }
 
-    this.jobs.delete(channelId);
+    this.jobs.delete(key);
+    this.drainQueue();
+  }
+
+  // Stops every profile's job for a channel
+  async cleanupChannel(channelId) {
+    const profiles = [...this.jobs.values()]
+      .filter((job) => job.channelId === channelId)
+      .map((job) => job.profile);
+    await Promise.all(profiles.map((profile) => this.cleanupJob(channelId, profile)));
   }
 }
 
 module.exports = Transmuxer;
+module.exports.DEFAULT_PROFILES = DEFAULT_PROFILES;
+module.exports.buildCodecArgs = buildCodecArgs;
+module.exports.buildLadderArgs = buildLadderArgs;